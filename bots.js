@@ -0,0 +1,209 @@
+// Логика ботов.
+// Бот получает те же сообщения, что и обычный клиент (observe), и по запросу сервера
+// выбирает ночное действие, кандидата на выдвижение, голос и реплику в чат.
+// Сам сервер отвечает за таймеры и применяет решения через общие проверки правил.
+
+const BOT_DIFFICULTIES = ['easy', 'normal', 'hard'];
+
+// Порог подозрения, после которого бот выдвигает игрока
+const NOMINATION_THRESHOLD = {
+    easy: Infinity,
+    normal: 3,
+    hard: 1
+};
+
+const CHAT_LINES = {
+    day: [
+        'Доброе утро. Кто что думает?',
+        'Давайте без спешки, обсудим ночь.',
+        'У меня пока нет подозрений.',
+        'Кто-то слишком тихий сегодня.'
+    ],
+    accuse: [
+        '{name} ведёт себя подозрительно.',
+        'Мне не нравится, как голосует {name}.',
+        'Предлагаю присмотреться к {name}.'
+    ],
+    defend: [
+        'Я мирный, вы ошибаетесь!',
+        'Голосовать за меня — ошибка, подумайте ещё.',
+        'Это подстава, я за город.'
+    ]
+};
+
+function createBotMemory() {
+    return {
+        suspicion: {}, // nickname -> очки подозрения
+        known: {}, // nickname -> 'mafia' | 'town' | 'sheriff' по результатам проверок
+        mafiaVotes: {}, // voter -> цель ночного убийства
+        votes: {} // voter -> за кого голосовал в последнем голосовании
+    };
+}
+
+function randomItem(list) {
+    return list.length > 0 ? list[Math.floor(Math.random() * list.length)] : null;
+}
+
+function addSuspicion(memory, nickname, amount) {
+    memory.suspicion[nickname] = (memory.suspicion[nickname] || 0) + amount;
+}
+
+// Самые подозрительные из списка; на лёгком уровне — случайный
+function mostSuspicious(view, list) {
+    if (view.difficulty === 'easy' || list.length === 0) {
+        return randomItem(list);
+    }
+
+    const score = (nickname) => {
+        const known = view.memory.known[nickname];
+        if (known === 'mafia') return 1000;
+        if (known === 'town' || known === 'sheriff') return -1000;
+        return view.memory.suspicion[nickname] || 0;
+    };
+    const best = Math.max(...list.map(score));
+    return randomItem(list.filter(nickname => score(nickname) === best));
+}
+
+// Обновляем память бота по входящему сообщению
+function observe(memory, nickname, message) {
+    switch (message.type) {
+        case 'check_result':
+            if (message.ability === 'check') {
+                memory.known[message.target] = message.isMafia ? 'mafia' : 'town';
+            } else if (message.ability === 'don_check' && message.isSheriff) {
+                memory.known[message.target] = 'sheriff';
+            }
+            break;
+        case 'mafia_vote':
+            memory.mafiaVotes[message.voter] = message.target;
+            break;
+        case 'phase_changed':
+            if (message.phase === 'night') {
+                memory.mafiaVotes = {};
+            }
+            if (message.phase === 'vote') {
+                memory.votes = {};
+            }
+            break;
+        case 'player_nominated':
+            // Тот, кто выдвинул бота, вызывает подозрение
+            if (message.target === nickname) {
+                addSuspicion(memory, message.nominator, 2);
+            }
+            break;
+        case 'vote_update':
+            memory.votes = { ...message.votes };
+            break;
+        case 'player_executed':
+            // Голосовавшие против мирного подозрительны, против мафии — наоборот
+            if (message.role) {
+                const delta = message.role === 'mafia' || message.role === 'don' ? -2 : 3;
+                for (const [voter, target] of Object.entries(memory.votes)) {
+                    if (target === message.player && voter !== nickname) {
+                        addSuspicion(memory, voter, delta);
+                    }
+                }
+            }
+            break;
+    }
+}
+
+function chooseTargets(view, ability) {
+    const others = view.alive.filter(nickname => nickname !== view.nickname);
+    const nonAllies = others.filter(nickname => !view.allies.includes(nickname));
+    const pool = ability.allowSelf ? view.alive : others;
+
+    switch (ability.id) {
+        case 'kill': {
+            if (view.team !== 'mafia') {
+                return [randomItem(others)];
+            }
+            // Мафия на среднем и сложном уровне поддерживает выбор союзников
+            const allyChoice = Object.values(view.memory.mafiaVotes).find(target => nonAllies.includes(target));
+            if (allyChoice && view.difficulty !== 'easy') {
+                return [allyChoice];
+            }
+            const sheriff = nonAllies.find(nickname => view.memory.known[nickname] === 'sheriff');
+            if (sheriff && view.difficulty === 'hard') {
+                return [sheriff];
+            }
+            return [randomItem(nonAllies)];
+        }
+        case 'heal':
+            // Сложный бот в первую ночь лечит себя
+            if (view.difficulty === 'hard' && !view.state.selfHealed && pool.includes(view.nickname)) {
+                return [view.nickname];
+            }
+            return [randomItem(pool.filter(nickname => nickname !== view.nickname || !view.state.selfHealed))];
+        case 'check':
+        case 'don_check': {
+            const unknown = nonAllies.filter(nickname => !view.memory.known[nickname]);
+            return [mostSuspicious(view, unknown.length > 0 ? unknown : nonAllies)];
+        }
+        case 'block':
+        case 'mark':
+            return [mostSuspicious(view, nonAllies)];
+        default: {
+            // Незнакомые способности (например, из сторонних ролей): случайные цели
+            const shuffled = pool.slice().sort(() => Math.random() - 0.5);
+            return shuffled.slice(0, ability.targets);
+        }
+    }
+}
+
+function chooseNightActions(view) {
+    return view.abilities
+        .map(ability => ({ ability: ability.id, targets: chooseTargets(view, ability) }))
+        .filter(action => action.targets.length > 0 && action.targets.every(Boolean));
+}
+
+function chooseNomination(view) {
+    const options = view.alive.filter(nickname => nickname !== view.nickname
+        && !view.allies.includes(nickname)
+        && !view.nominations.includes(nickname));
+    if (options.length === 0) return null;
+
+    if (view.difficulty === 'easy' || view.team === 'mafia') {
+        return Math.random() < 0.3 ? randomItem(options) : null;
+    }
+
+    const target = mostSuspicious(view, options);
+    const known = view.memory.known[target];
+    const score = known === 'mafia' ? Infinity : (view.memory.suspicion[target] || 0);
+    return score >= NOMINATION_THRESHOLD[view.difficulty] ? target : null;
+}
+
+function chooseVote(view) {
+    const options = view.candidates.filter(nickname => nickname !== view.nickname);
+    if (options.length === 0) return null;
+
+    if (view.team === 'mafia') {
+        // Мафия не голосует против своих, если есть другой вариант
+        const nonAllies = options.filter(nickname => !view.allies.includes(nickname));
+        return randomItem(nonAllies.length > 0 ? nonAllies : options);
+    }
+
+    return mostSuspicious(view, options);
+}
+
+function pickChatLine(view, reason) {
+    if (reason === 'defend') {
+        return randomItem(CHAT_LINES.defend);
+    }
+
+    const suspect = view.difficulty !== 'easy' ? mostSuspicious(view, view.alive.filter(nickname => nickname !== view.nickname)) : null;
+    if (suspect && (view.memory.suspicion[suspect] || 0) > 0 && !view.allies.includes(suspect)) {
+        return randomItem(CHAT_LINES.accuse).replace('{name}', suspect);
+    }
+    return Math.random() < 0.5 ? randomItem(CHAT_LINES.day) : null;
+}
+
+module.exports = {
+    BOT_DIFFICULTIES,
+    createBotMemory,
+    observe,
+    chooseNightActions,
+    chooseNomination,
+    chooseVote,
+    pickChatLine
+};
@@ -0,0 +1,58 @@
+// Подбор игроков.
+// Очередь делится на корзины по размеру стола и набору ролей. В корзине игроки
+// собираются в группу, разброс рейтинга которой укладывается в допуск каждого участника.
+// Таймеры, проверку готовности и создание комнат ведёт сервер.
+
+// Сколько последних подборов учитывать при оценке ожидания
+const WAIT_HISTORY_SIZE = 20;
+
+function getQueueKey({ players, preset }) {
+    return `${players}:${preset || ''}`;
+}
+
+function fitsGroup(group, candidate) {
+    const members = group.concat(candidate);
+    const ratings = members.map(entry => entry.rating);
+    const spread = Math.max(...ratings) - Math.min(...ratings);
+    return members.every(entry => entry.ratingBand === undefined || spread <= entry.ratingBand);
+}
+
+// entries — игроки одной корзины в порядке постановки в очередь.
+// Первыми подбираем тех, кто ждёт дольше; возвращает группу нужного размера или null
+function findMatch(entries, size) {
+    for (const anchor of entries) {
+        const group = [anchor];
+        for (const entry of entries) {
+            if (group.length === size) break;
+            if (entry !== anchor && fitsGroup(group, entry)) {
+                group.push(entry);
+            }
+        }
+        if (group.length === size) {
+            return group;
+        }
+    }
+    return null;
+}
+
+function recordWait(history, seconds) {
+    history.push(seconds);
+    if (history.length > WAIT_HISTORY_SIZE) {
+        history.shift();
+    }
+}
+
+// Среднее ожидание в недавних подборах за вычетом уже прошедшего; null, пока подборов не было
+function estimateWait(history, waited) {
+    if (history.length === 0) return null;
+
+    const average = history.reduce((sum, seconds) => sum + seconds, 0) / history.length;
+    return Math.max(0, Math.round(average - waited));
+}
+
+module.exports = {
+    getQueueKey,
+    findMatch,
+    recordWait,
+    estimateWait
+};
@@ -0,0 +1,93 @@
+// Защита от флуда и фильтр чата.
+// Ограничитель считает сообщения в фиксированном окне отдельно для каждого
+// источника (соединения или IP) и типа сообщения. Фильтр чата скрывает
+// ругательства и находит ссылки; что делать с нарушением, решает сервер.
+
+// Корни слов, которые фильтр скрывает по умолчанию (CHAT_FILTER_WORDS заменяет список)
+const DEFAULT_BLOCKED_WORDS = ['хуй', 'хуе', 'хуё', 'пизд', 'ебат', 'ебал', 'ёбан', 'еба', 'бля', 'сука', 'мудак', 'fuck', 'shit'];
+
+// Приставки, после которых корень всё ещё считается началом слова («заебал», «охуел»)
+const WORD_PREFIXES = ['за', 'на', 'по', 'от', 'до', 'об', 'объ', 'вы', 'въ', 'съ', 'подъ', 'при', 'про', 'раз', 'рас', 'пере', 'недо', 'из', 'у', 'о', 'с'];
+
+const LINK_PATTERN = /(https?:\/\/|www\.)\S+|\b[a-z0-9-]+\.(com|ru|net|org|io|me|gg|xyz|su|рф)\b/iu;
+
+function createRateLimiter() {
+    const sources = new Map(); // источник -> Map(тип -> {count, resetAt})
+
+    return {
+        // Учитывает сообщение; возвращает, через сколько мс можно повторить, или 0
+        hit(source, type, rule, now = Date.now()) {
+            if (!sources.has(source)) {
+                sources.set(source, new Map());
+            }
+            const buckets = sources.get(source);
+
+            let bucket = buckets.get(type);
+            if (!bucket || now >= bucket.resetAt) {
+                bucket = { count: 0, resetAt: now + rule.interval };
+                buckets.set(type, bucket);
+            }
+
+            bucket.count++;
+            return bucket.count > rule.limit ? bucket.resetAt - now : 0;
+        },
+
+        remove(source) {
+            sources.delete(source);
+        },
+
+        // Забываем источники, у которых истекли все окна
+        prune(now = Date.now()) {
+            for (const [source, buckets] of sources.entries()) {
+                for (const [type, bucket] of buckets.entries()) {
+                    if (now >= bucket.resetAt) {
+                        buckets.delete(type);
+                    }
+                }
+                if (buckets.size === 0) {
+                    sources.delete(source);
+                }
+            }
+        }
+    };
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function createChatFilter({ words = DEFAULT_BLOCKED_WORDS, blockLinks = true } = {}) {
+    // Скрываем слово целиком, если оно начинается с запрещённого корня, в том числе после приставки.
+    // Корень внутри слова не ищем: иначе «бля» находится в «корабля», а «еба» — в «хлеба».
+    // \b для кириллицы не работает, поэтому границу слова задаём через \p{L}
+    const wordPattern = words.length > 0
+        ? new RegExp(`(?<![\\p{L}\\p{N}])(?:${WORD_PREFIXES.join('|')})?(?:${words.map(escapeRegExp).join('|')})[\\p{L}\\p{N}]*`, 'giu')
+        : null;
+
+    return {
+        // Возвращает исправленный текст и список нарушений: 'profanity', 'link'
+        check(text) {
+            const violations = [];
+            let filtered = text;
+
+            if (blockLinks && LINK_PATTERN.test(text)) {
+                violations.push('link');
+            }
+
+            if (wordPattern) {
+                filtered = text.replace(wordPattern, (word) => '*'.repeat(word.length));
+                if (filtered !== text) {
+                    violations.push('profanity');
+                }
+            }
+
+            return { text: filtered, violations };
+        }
+    };
+}
+
+module.exports = {
+    DEFAULT_BLOCKED_WORDS,
+    createRateLimiter,
+    createChatFilter
+};
@@ -0,0 +1,412 @@
+// Протокол WebSocket: версия, схемы входящих и исходящих сообщений и коды ошибок.
+// Клиент называет версию протокола в user_connected; несовместимые клиенты
+// получают ошибку UNSUPPORTED_PROTOCOL с просьбой обновиться.
+//
+// Схема поля:
+//   type      — 'string' | 'integer' | 'number' | 'boolean' | 'object' | 'array'
+//   required  — поле обязательно
+//   minLength, maxLength, pattern — для строк
+//   min, max  — для чисел
+//   enum      — допустимые значения
+//   items, maxItems — для массивов
+//   properties — схемы полей вложенного объекта
+
+const { BOT_DIFFICULTIES } = require('./bots');
+
+const PROTOCOL_VERSION = 1;
+const MIN_PROTOCOL_VERSION = 1;
+
+// Правила разрешения ничьей при голосовании
+const TIE_BREAK_RULES = ['none', 'revote', 'random'];
+
+// Что делать с комнатой после окончания игры
+const AFTER_GAME_ACTIONS = ['lobby', 'close'];
+
+// Каналы чата: общий дневной, ночной канал мафии, канал выбывших и чат зрителей
+const CHAT_CHANNELS = ['public', 'mafia', 'dead', 'spectators'];
+
+// Решения по жалобе: отклонить, принять без наказания или забанить нарушителя
+const REPORT_ACTIONS = ['dismiss', 'resolve', 'ban'];
+const REPORT_STATUSES = ['open', 'resolved', 'dismissed'];
+
+const CHAT_MESSAGE_MAX_LENGTH = 500;
+const ROOM_NAME_MAX_LENGTH = 50;
+const ROOM_PASSWORD_MAX_LENGTH = 64;
+
+// Коды ошибок и сообщения по умолчанию
+const ERROR_MESSAGES = {
+    INVALID_JSON: 'Неверный формат сообщения',
+    INTERNAL_ERROR: 'Внутренняя ошибка сервера',
+    UNKNOWN_MESSAGE_TYPE: 'Неизвестный тип сообщения',
+    VALIDATION_FAILED: 'Некорректные данные сообщения',
+    UNSUPPORTED_PROTOCOL: 'Версия клиента устарела, обновите приложение',
+    INVALID_TOKEN: 'Недействительный токен авторизации',
+    SESSION_NOT_FOUND: 'Сессия не найдена или истекла',
+    NOT_AUTHENTICATED: 'Вы не авторизованы',
+    ALREADY_CONNECTED: 'Вы уже подключены в другой вкладке',
+    BANNED: 'Вы забанены',
+    FORBIDDEN: 'У вас нет прав администратора',
+    NOT_HOST: 'Вы не хозяин комнаты',
+    ROOM_NOT_FOUND: 'Комната не найдена',
+    INVALID_INVITE_CODE: 'Неверный код приглашения',
+    WRONG_ROOM_PASSWORD: 'Неверный пароль комнаты',
+    ROOM_FULL: 'Комната заполнена',
+    ROOM_LOCKED: 'Комната закрыта хозяином',
+    KICKED_FROM_ROOM: 'Хозяин исключил вас из этой комнаты',
+    GAME_ALREADY_STARTED: 'Игра уже началась',
+    NOT_ENOUGH_PLAYERS: 'Недостаточно игроков для начала игры',
+    INVALID_ROOM_SETTINGS: 'Некорректные настройки комнаты',
+    NOT_IN_ROOM: 'Вы не находитесь в этой комнате',
+    ALREADY_IN_ROOM: 'Вы уже в этой комнате',
+    IN_ANOTHER_ROOM: 'Сначала покиньте текущую комнату',
+    TARGET_NOT_IN_ROOM: 'Игрок не находится ни в одной комнате',
+    INVALID_TARGET: 'Нельзя выбрать этого игрока',
+    NICKNAME_TAKEN: 'Имя уже занято',
+    SPECTATORS_DISABLED: 'В этой комнате нельзя наблюдать за игрой',
+    FULL_REVEAL_DISABLED: 'Полный обзор в этой комнате отключён',
+    NOT_SPECTATING: 'Вы не наблюдаете за игрой',
+    CHAT_FORBIDDEN: 'Вы не можете писать в этот канал',
+    MUTED: 'Вам запрещено писать в чат',
+    MESSAGE_BLOCKED: 'Сообщение не прошло фильтр чата',
+    RATE_LIMITED: 'Слишком много сообщений, подождите',
+    ACTION_REJECTED: 'Действие сейчас недоступно',
+    REPORT_NOT_FOUND: 'Жалоба не найдена',
+    REPORT_CLOSED: 'Жалоба уже рассмотрена',
+    NOT_BANNED: 'Игрок не забанен',
+    NOT_MUTED: 'У игрока нет мута',
+    SLOW_MODE: 'В комнате включён медленный режим, подождите',
+    ALREADY_QUEUED: 'Вы уже в очереди подбора',
+    NOT_QUEUED: 'Вы не в очереди подбора',
+    MATCH_NOT_FOUND: 'Подбор не найден или уже завершён',
+    INVALID_QUEUE_PREFERENCES: 'Некорректные параметры подбора'
+};
+
+const roomId = { type: 'string', maxLength: 64 };
+const nickname = { type: 'string', minLength: 1, maxLength: 24 };
+const reason = { type: 'string', maxLength: 200 };
+const inviteCode = { type: 'string', maxLength: 16 };
+const password = { type: 'string', maxLength: ROOM_PASSWORD_MAX_LENGTH };
+
+// Настройки комнаты: общие для create_room и host_update_room
+const roomSettings = {
+    minPlayers: { type: 'integer', min: 2, max: 50 },
+    maxPlayers: { type: 'integer', min: 2, max: 50 },
+    roles: { type: 'array', maxItems: 20, items: { type: 'string', maxLength: 32 } },
+    composition: { type: 'object' },
+    preset: { type: 'string', maxLength: 32 },
+    phaseDurations: { type: 'object' },
+    tieBreak: { type: 'string', enum: TIE_BREAK_RULES },
+    revealRoles: { type: 'boolean' },
+    afterGame: { type: 'string', enum: AFTER_GAME_ACTIONS },
+    autoStart: { type: 'boolean' },
+    slowMode: { type: 'integer', min: 0, max: 600 },
+    allowSpectators: { type: 'boolean' },
+    spectatorReveal: { type: 'boolean' }
+};
+
+const INBOUND_SCHEMAS = {
+    user_connected: {
+        token: { type: 'string', required: true, maxLength: 4096 },
+        protocolVersion: { type: 'integer' },
+        user: { type: 'object', properties: { avatar: { type: 'string', maxLength: 256 } } }
+    },
+    resume_session: {
+        sessionToken: { type: 'string', required: true, maxLength: 64 }
+    },
+    ping: {},
+    get_rooms: {},
+    create_room: {
+        name: { type: 'string', required: true, minLength: 1, maxLength: ROOM_NAME_MAX_LENGTH, pattern: /\S/ },
+        isPrivate: { type: 'boolean' },
+        password,
+        ...roomSettings
+    },
+    join_room: { roomId, inviteCode, password },
+    leave_room: { roomId: { ...roomId, required: true } },
+    spectate_room: { roomId, inviteCode, password, fullReveal: { type: 'boolean' } },
+    stop_spectating: {},
+    chat_message: {
+        roomId: { ...roomId, required: true },
+        channel: { type: 'string', enum: CHAT_CHANNELS },
+        message: { type: 'string', required: true, minLength: 1, maxLength: CHAT_MESSAGE_MAX_LENGTH, pattern: /\S/ }
+    },
+    nominate: {
+        roomId: { ...roomId, required: true },
+        target: { ...nickname, required: true }
+    },
+    vote: {
+        roomId: { ...roomId, required: true },
+        target: { ...nickname, required: true }
+    },
+    night_action: {
+        roomId: { ...roomId, required: true },
+        ability: { type: 'string', maxLength: 32 },
+        target: nickname,
+        targets: { type: 'array', maxItems: 5, items: nickname }
+    },
+    host_kick: { player: { ...nickname, required: true }, reason },
+    host_lock: { locked: { type: 'boolean' } },
+    host_transfer: { player: { ...nickname, required: true } },
+    host_update_room: roomSettings,
+    host_start: {},
+    admin_force_start: {},
+    admin_add_bot: {
+        botName: { ...nickname, minLength: 2 },
+        difficulty: { type: 'string', enum: BOT_DIFFICULTIES }
+    },
+    admin_end_game: {},
+    admin_kick_player: { player: { ...nickname, required: true }, reason },
+    admin_ban_player: {
+        player: { ...nickname, required: true },
+        duration: { type: 'number', min: 0 },
+        reason
+    },
+    admin_unban: { player: { ...nickname, required: true } },
+    admin_mute: {
+        player: { ...nickname, required: true },
+        scope: { type: 'string', enum: ['global', 'room'] },
+        duration: { type: 'integer', min: 0, max: 60 * 24 * 365 },
+        reason
+    },
+    admin_unmute: {
+        player: { ...nickname, required: true },
+        scope: { type: 'string', enum: ['global', 'room'] }
+    },
+    admin_warn: {
+        player: { ...nickname, required: true },
+        reason: { ...reason, required: true, minLength: 1 }
+    },
+    admin_slow_mode: {
+        roomId,
+        interval: { type: 'integer', required: true, min: 0, max: 600 }
+    },
+    admin_audit_log: {
+        admin: nickname,
+        target: nickname,
+        action: { type: 'string', maxLength: 32 },
+        page: { type: 'integer', min: 1 },
+        limit: { type: 'integer', min: 1 }
+    },
+    admin_list_bans: {},
+    report_player: {
+        player: { ...nickname, required: true },
+        reason: { ...reason, required: true, minLength: 1 }
+    },
+    join_queue: {
+        players: { type: 'integer', min: 4, max: 20 },
+        preset: { type: 'string', maxLength: 32 },
+        ratingBand: { type: 'integer', min: 0, max: 5000 }
+    },
+    leave_queue: {},
+    match_ready: {
+        matchId: { type: 'string', required: true, maxLength: 64 },
+        ready: { type: 'boolean', required: true }
+    },
+    admin_list_reports: {
+        status: { type: 'string', enum: REPORT_STATUSES },
+        page: { type: 'integer', min: 1 },
+        limit: { type: 'integer', min: 1 }
+    },
+    admin_resolve_report: {
+        reportId: { type: 'string', required: true, maxLength: 64 },
+        action: { type: 'string', required: true, enum: REPORT_ACTIONS },
+        duration: { type: 'number', min: 0 },
+        reason,
+        note: reason
+    }
+};
+
+// Исходящие сообщения: обязательные поля каждого типа
+const room = { type: 'object', required: true };
+const player = { type: 'string', required: true };
+const OUTBOUND_SCHEMAS = {
+    error: { code: { type: 'string', required: true }, message: { type: 'string', required: true } },
+    pong: {},
+    session_started: { sessionToken: { type: 'string', required: true }, role: { type: 'string', required: true }, protocolVersion: { type: 'integer', required: true } },
+    session_replaced: {},
+    session_resumed: { nickname: player },
+    rooms_list: { rooms: { type: 'array', required: true } },
+    rooms_diff: { added: { type: 'array', required: true }, updated: { type: 'array', required: true }, removed: { type: 'array', required: true } },
+    room_created: { room },
+    room_joined: { room },
+    room_updated: { room },
+    room_closed: { roomId: { type: 'string', required: true } },
+    host_changed: { host: player, room },
+    player_joined: { player: { type: 'object', required: true }, room },
+    player_left: { player: { type: 'object', required: true }, room },
+    player_disconnected: { player: { type: 'object', required: true } },
+    player_reconnected: { player: { type: 'object', required: true } },
+    player_kicked: { player, reason: { type: 'string', required: true } },
+    player_banned: { player },
+    bot_added: { bot: { type: 'object', required: true }, room },
+    spectating: { room, fullReveal: { type: 'boolean', required: true } },
+    spectating_stopped: {},
+    chat_message: { channel: { type: 'string', enum: CHAT_CHANNELS, required: true }, sender: player, message: { type: 'string', required: true } },
+    game_started: { room },
+    game_force_started: {},
+    game_ended: {},
+    game_over: { gameId: { type: 'string', required: true }, winner: { type: 'string', required: true }, roles: { type: 'object', required: true } },
+    role_assigned: { role: { type: 'string', required: true } },
+    phase_changed: { phase: { type: 'string', required: true }, day: { type: 'integer', required: true }, duration: { type: 'number', required: true } },
+    morning_announcement: { day: { type: 'integer', required: true }, deaths: { type: 'array', required: true } },
+    player_nominated: { nominator: player, target: player, nominations: { type: 'array', required: true } },
+    vote_started: { candidates: { type: 'array', required: true } },
+    vote_update: { votes: { type: 'object', required: true }, tally: { type: 'object', required: true } },
+    no_execution: {},
+    player_executed: { player },
+    player_killed: { player, cause: { type: 'string', required: true } },
+    night_action_accepted: { targets: { type: 'array', required: true } },
+    mafia_vote: { voter: player, target: player },
+    check_result: { ability: { type: 'string', required: true } },
+    action_blocked: {},
+    roles_revealed: { roles: { type: 'object', required: true } },
+    night_action_revealed: { player, ability: { type: 'string', required: true }, targets: { type: 'array', required: true } },
+    player_notified: { player, message: { type: 'object', required: true } },
+    player_muted: { player, until: { type: 'number', required: true }, reason: { type: 'string', required: true } },
+    player_unbanned: { player },
+    player_unmuted: { player },
+    player_warned: { player, reason: { type: 'string', required: true } },
+    warning_sent: { player },
+    audit_log: { total: { type: 'integer', required: true }, entries: { type: 'array', required: true } },
+    bans_list: { bans: { type: 'array', required: true } },
+    report_submitted: { reportId: { type: 'string', required: true } },
+    report_created: { report: { type: 'object', required: true } },
+    report_updated: { report: { type: 'object', required: true } },
+    reports_list: { total: { type: 'integer', required: true }, reports: { type: 'array', required: true } },
+    afk_warning: { missedTurns: { type: 'integer', required: true }, replaceAfter: { type: 'integer', required: true } },
+    afk_removed: { roomId: { type: 'string', required: true } },
+    player_replaced: { player, bot: { type: 'object', required: true }, room },
+    queue_status: { players: { type: 'integer', required: true }, position: { type: 'integer', required: true }, queued: { type: 'integer', required: true }, waited: { type: 'integer', required: true } },
+    queue_left: { reason: { type: 'string', required: true } },
+    match_found: { matchId: { type: 'string', required: true }, players: { type: 'array', required: true }, timeout: { type: 'integer', required: true } },
+    match_ready_update: { matchId: { type: 'string', required: true }, ready: { type: 'integer', required: true }, total: { type: 'integer', required: true } },
+    match_cancelled: { matchId: { type: 'string', required: true }, reason: { type: 'string', required: true }, requeued: { type: 'boolean', required: true } }
+};
+
+const TYPE_NAMES = {
+    string: 'строка',
+    integer: 'целое число',
+    number: 'число',
+    boolean: 'true или false',
+    object: 'объект',
+    array: 'массив'
+};
+
+function checkType(value, type) {
+    switch (type) {
+        case 'integer':
+            return Number.isInteger(value);
+        case 'number':
+            return typeof value === 'number' && Number.isFinite(value);
+        case 'object':
+            return value !== null && typeof value === 'object' && !Array.isArray(value);
+        case 'array':
+            return Array.isArray(value);
+        default:
+            return typeof value === type;
+    }
+}
+
+// Возвращает текст ошибки для поля или null
+function validateField(value, schema, field) {
+    if (value === undefined || value === null) {
+        return schema.required ? `Поле ${field} обязательно` : null;
+    }
+
+    if (!checkType(value, schema.type)) {
+        return `Поле ${field}: ожидается ${TYPE_NAMES[schema.type]}`;
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        return `Поле ${field}: допустимые значения ${schema.enum.join(', ')}`;
+    }
+
+    switch (schema.type) {
+        case 'string':
+            if (schema.minLength !== undefined && value.length < schema.minLength) {
+                return `Поле ${field}: не короче ${schema.minLength} символов`;
+            }
+            if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+                return `Поле ${field}: не длиннее ${schema.maxLength} символов`;
+            }
+            if (schema.pattern && !schema.pattern.test(value)) {
+                return `Поле ${field} заполнено неверно`;
+            }
+            break;
+        case 'integer':
+        case 'number':
+            if (schema.min !== undefined && value < schema.min) {
+                return `Поле ${field}: не меньше ${schema.min}`;
+            }
+            if (schema.max !== undefined && value > schema.max) {
+                return `Поле ${field}: не больше ${schema.max}`;
+            }
+            break;
+        case 'array':
+            if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+                return `Поле ${field}: не больше ${schema.maxItems} элементов`;
+            }
+            if (schema.items) {
+                for (let i = 0; i < value.length; i++) {
+                    const error = validateField(value[i], { ...schema.items, required: true }, `${field}[${i}]`);
+                    if (error) return error;
+                }
+            }
+            break;
+        case 'object':
+            if (schema.properties) {
+                return validateFields(value, schema.properties, `${field}.`);
+            }
+            break;
+    }
+    return null;
+}
+
+function validateFields(data, fields, prefix = '') {
+    for (const [name, schema] of Object.entries(fields)) {
+        const error = validateField(data[name], schema, prefix + name);
+        if (error) return error;
+    }
+    return null;
+}
+
+// Проверка входящего сообщения: null или { code, message }
+function validateInbound(data) {
+    if (!checkType(data, 'object') || typeof data.type !== 'string') {
+        return { code: 'INVALID_JSON', message: ERROR_MESSAGES.INVALID_JSON };
+    }
+
+    const schema = Object.hasOwn(INBOUND_SCHEMAS, data.type) ? INBOUND_SCHEMAS[data.type] : null;
+    if (!schema) {
+        return { code: 'UNKNOWN_MESSAGE_TYPE', message: ERROR_MESSAGES.UNKNOWN_MESSAGE_TYPE };
+    }
+
+    const error = validateFields(data, schema);
+    return error ? { code: 'VALIDATION_FAILED', message: error } : null;
+}
+
+// Проверка исходящего сообщения: текст ошибки или null. Незнакомые типы
+// (например, уведомления сторонних ролей) не проверяем
+function validateOutbound(data) {
+    const schema = Object.hasOwn(OUTBOUND_SCHEMAS, data.type) ? OUTBOUND_SCHEMAS[data.type] : null;
+    return schema ? validateFields(data, schema) : null;
+}
+
+function isSupportedVersion(version) {
+    return Number.isInteger(version) && version >= MIN_PROTOCOL_VERSION && version <= PROTOCOL_VERSION;
+}
+
+module.exports = {
+    PROTOCOL_VERSION,
+    MIN_PROTOCOL_VERSION,
+    TIE_BREAK_RULES,
+    AFTER_GAME_ACTIONS,
+    CHAT_CHANNELS,
+    REPORT_ACTIONS,
+    ERROR_MESSAGES,
+    INBOUND_SCHEMAS,
+    OUTBOUND_SCHEMAS,
+    validateInbound,
+    validateOutbound,
+    isSupportedVersion
+};
@@ -0,0 +1,328 @@
+const net = require('net');
+const path = require('path');
+
+// Обмен сообщениями и общее состояние между экземплярами сервера.
+// Любая реализация предоставляет те же асинхронные методы, что и createMemoryPubSub:
+// publish/subscribe для каналов и hget/hgetall/hset/hsetnx/hdel для общих хэшей.
+// Сообщения и значения — объекты, сериализуемые в JSON.
+
+// Всё в пределах одного процесса: подходит, когда экземпляр сервера один
+function createMemoryPubSub() {
+    const handlers = new Map(); // канал -> Set(обработчик)
+    const hashes = new Map(); // ключ -> Map(поле -> JSON)
+
+    function getHash(key) {
+        if (!hashes.has(key)) {
+            hashes.set(key, new Map());
+        }
+        return hashes.get(key);
+    }
+
+    return {
+        // Доставляем асинхронно и копией, как это сделал бы внешний брокер
+        async publish(channel, message) {
+            const payload = JSON.stringify(message);
+            for (const handler of handlers.get(channel) || []) {
+                setImmediate(() => handler(JSON.parse(payload)));
+            }
+        },
+
+        async subscribe(channel, handler) {
+            if (!handlers.has(channel)) {
+                handlers.set(channel, new Set());
+            }
+            handlers.get(channel).add(handler);
+        },
+
+        async hget(key, field) {
+            const value = getHash(key).get(field);
+            return value === undefined ? null : JSON.parse(value);
+        },
+
+        // Все поля хэша объектом поле -> значение
+        async hgetall(key) {
+            const result = {};
+            for (const [field, value] of getHash(key)) {
+                result[field] = JSON.parse(value);
+            }
+            return result;
+        },
+
+        async hset(key, field, value) {
+            getHash(key).set(field, JSON.stringify(value));
+        },
+
+        // Записывает поле, только если его ещё нет; возвращает, удалось ли
+        async hsetnx(key, field, value) {
+            const hash = getHash(key);
+            if (hash.has(field)) return false;
+            hash.set(field, JSON.stringify(value));
+            return true;
+        },
+
+        async hdel(key, field) {
+            getHash(key).delete(field);
+        },
+
+        async close() {
+            handlers.clear();
+        }
+    };
+}
+
+// Команда в формате RESP: массив строк
+function encodeCommand(args) {
+    let command = `*${args.length}\r\n`;
+    for (const arg of args) {
+        const value = String(arg);
+        command += `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+    }
+    return command;
+}
+
+// Разбирает один ответ RESP; возвращает [значение, конец] или null, если данные пришли не полностью
+function parseReply(buffer, offset = 0) {
+    const lineEnd = buffer.indexOf('\r\n', offset);
+    if (lineEnd === -1) return null;
+
+    const prefix = String.fromCharCode(buffer[offset]);
+    const line = buffer.toString('utf8', offset + 1, lineEnd);
+    const next = lineEnd + 2;
+
+    switch (prefix) {
+        case '+':
+            return [line, next];
+        case '-':
+            return [new Error(line), next];
+        case ':':
+            return [parseInt(line, 10), next];
+        case '$': {
+            const length = parseInt(line, 10);
+            if (length === -1) return [null, next];
+            if (buffer.length < next + length + 2) return null;
+            return [buffer.toString('utf8', next, next + length), next + length + 2];
+        }
+        case '*': {
+            const count = parseInt(line, 10);
+            if (count === -1) return [null, next];
+
+            const items = [];
+            let position = next;
+            for (let i = 0; i < count; i++) {
+                const item = parseReply(buffer, position);
+                if (!item) return null;
+                items.push(item[0]);
+                position = item[1];
+            }
+            return [items, position];
+        }
+        default:
+            throw new Error(`Неизвестный ответ Redis: ${prefix}`);
+    }
+}
+
+// Пауза перед переподключением растёт вдвое с каждой неудачей, но не больше максимума
+const RECONNECT_BASE_DELAY = 100;
+const RECONNECT_MAX_DELAY = 5000;
+
+// Одно соединение с Redis. Ответы приходят в порядке команд;
+// сообщения подписки (['message', канал, данные]) передаются в onMessage.
+// Оборванное соединение восстанавливается само, после чего вызывается onReconnect
+function createRedisConnection(url, { onMessage, onReconnect } = {}) {
+    const { hostname, port, password, pathname } = new URL(url);
+    let socket = null;
+    let pending = [];
+    let buffer = Buffer.alloc(0);
+    let failures = 0;
+    let closed = false;
+
+    function failPending(error) {
+        const failed = pending;
+        pending = [];
+        for (const request of failed) {
+            request.reject(error);
+        }
+    }
+
+    function handleData(chunk) {
+        buffer = Buffer.concat([buffer, chunk]);
+
+        let parsed;
+        while (buffer.length > 0 && (parsed = parseReply(buffer))) {
+            buffer = buffer.subarray(parsed[1]);
+            const reply = parsed[0];
+
+            if (onMessage && Array.isArray(reply) && reply[0] === 'message') {
+                onMessage(reply[1], reply[2]);
+                continue;
+            }
+
+            const request = pending.shift();
+            if (!request) continue;
+            if (reply instanceof Error) {
+                request.reject(reply);
+            } else {
+                request.resolve(reply);
+            }
+        }
+    }
+
+    function connect() {
+        const reconnecting = socket !== null;
+        socket = net.createConnection({ host: hostname || '127.0.0.1', port: parseInt(port) || 6379 });
+        buffer = Buffer.alloc(0);
+
+        socket.on('connect', () => {
+            if (failures > 0) {
+                console.log('Соединение с Redis восстановлено');
+            }
+            failures = 0;
+            if (reconnecting && onReconnect) {
+                onReconnect();
+            }
+        });
+        socket.on('data', handleData);
+        // Пока Redis недоступен, сообщаем только о первой ошибке
+        socket.on('error', (error) => {
+            if (failures === 0) {
+                console.error('Ошибка соединения с Redis:', error.message);
+            }
+        });
+        // После 'error' всегда приходит 'close'
+        socket.on('close', () => {
+            failPending(new Error('Соединение с Redis закрыто'));
+            if (closed) return;
+
+            const delay = Math.min(RECONNECT_MAX_DELAY, RECONNECT_BASE_DELAY * 2 ** failures);
+            failures++;
+            setTimeout(connect, delay).unref();
+        });
+
+        // Команды до подключения net буферизует, поэтому AUTH и SELECT уйдут первыми
+        if (password) {
+            command('AUTH', decodeURIComponent(password)).catch(() => {});
+        }
+        const database = parseInt(pathname.slice(1));
+        if (database > 0) {
+            command('SELECT', database).catch(() => {});
+        }
+    }
+
+    function command(...args) {
+        return new Promise((resolve, reject) => {
+            if (socket.destroyed) {
+                reject(new Error('Нет соединения с Redis'));
+                return;
+            }
+            pending.push({ resolve, reject });
+            socket.write(encodeCommand(args));
+        });
+    }
+
+    connect();
+
+    return {
+        command,
+        close() {
+            closed = true;
+            socket.end();
+        }
+    };
+}
+
+// Совместим с Redis и всем, что говорит на его протоколе.
+// Подписке нужно отдельное соединение: в режиме подписки другие команды недоступны
+function createRedisPubSub({ url = 'redis://127.0.0.1:6379', prefix = 'mafia:' } = {}) {
+    const handlers = new Map(); // канал -> Set(обработчик)
+
+    const commands = createRedisConnection(url);
+    const subscriber = createRedisConnection(url, {
+        onMessage(channel, payload) {
+            let message;
+            try {
+                message = JSON.parse(payload);
+            } catch (error) {
+                console.error(`Некорректное сообщение в канале ${channel}`);
+                return;
+            }
+            for (const handler of handlers.get(channel) || []) {
+                handler(message);
+            }
+        },
+        // Новое соединение ничего не знает о прежних подписках
+        onReconnect() {
+            for (const key of handlers.keys()) {
+                subscriber.command('SUBSCRIBE', key)
+                    .catch(error => console.error(`Не удалось подписаться на ${key}:`, error.message));
+            }
+        }
+    });
+
+    return {
+        async publish(channel, message) {
+            await commands.command('PUBLISH', prefix + channel, JSON.stringify(message));
+        },
+
+        async subscribe(channel, handler) {
+            const key = prefix + channel;
+            if (!handlers.has(key)) {
+                handlers.set(key, new Set());
+                await subscriber.command('SUBSCRIBE', key);
+            }
+            handlers.get(key).add(handler);
+        },
+
+        async hget(key, field) {
+            const value = await commands.command('HGET', prefix + key, field);
+            return value === null ? null : JSON.parse(value);
+        },
+
+        // HGETALL отвечает плоским списком: поле, значение, поле, значение...
+        async hgetall(key) {
+            const reply = await commands.command('HGETALL', prefix + key);
+            const result = {};
+            for (let i = 0; i < reply.length; i += 2) {
+                result[reply[i]] = JSON.parse(reply[i + 1]);
+            }
+            return result;
+        },
+
+        async hset(key, field, value) {
+            await commands.command('HSET', prefix + key, field, JSON.stringify(value));
+        },
+
+        async hsetnx(key, field, value) {
+            return await commands.command('HSETNX', prefix + key, field, JSON.stringify(value)) === 1;
+        },
+
+        async hdel(key, field) {
+            await commands.command('HDEL', prefix + key, field);
+        },
+
+        async close() {
+            commands.close();
+            subscriber.close();
+        }
+    };
+}
+
+function createPubSub(options = {}) {
+    if (options.module) {
+        const factory = require(path.resolve(options.module));
+        return typeof factory === 'function' ? factory(options) : factory;
+    }
+
+    switch (options.type) {
+        case 'redis':
+            return createRedisPubSub({ url: options.url, prefix: options.prefix });
+        case 'memory':
+        default:
+            return createMemoryPubSub();
+    }
+}
+
+module.exports = {
+    createPubSub,
+    createMemoryPubSub,
+    createRedisPubSub
+};
@@ -0,0 +1,274 @@
+// Реестр ролей.
+// Роль описывает команду, ночные способности с приоритетом разрешения
+// и условие победы своей команды. Сторонние роли подключаются через
+// registerRole, без правки server.js (см. ROLE_PLUGINS).
+//
+// Способность роли:
+//   id         — имя способности, передаётся клиентом в night_action.ability
+//   targets    — сколько целей нужно выбрать (по умолчанию 1)
+//   allowSelf  — можно ли выбрать себя
+//   priority   — порядок разрешения ночью, меньше — раньше
+//   collective — способность общая для команды (голоса видны союзникам)
+//   validate({ actor, targets, state }) — вернуть текст ошибки или null
+//   resolve(ctx, submissions) — применить действия всех, кто не был заблокирован
+//
+// Контекст ночи (ctx): roleOf, teamOf, stateOf, block, heal, guard, attack, notify.
+
+const registry = new Map(); // id -> описание роли
+
+function registerRole(definition) {
+    if (!definition || !definition.id) {
+        throw new Error('У роли должен быть id');
+    }
+
+    registry.set(definition.id, {
+        name: definition.id,
+        team: 'town',
+        abilities: [],
+        ...definition
+    });
+}
+
+function getRole(id) {
+    return registry.get(id) || null;
+}
+
+function getRoleIds() {
+    return Array.from(registry.keys());
+}
+
+function getRoleTeam(id) {
+    const role = registry.get(id);
+    return role ? role.team : 'town';
+}
+
+// Условия победы команд
+const winConditions = {
+    // Город побеждает, когда в живых не осталось враждебных игроков
+    town: ({ alive }) => alive.every(p => p.team === 'town'),
+
+    // Мафия побеждает, сравнявшись числом с остальными, если маньяк уже мёртв
+    mafia: ({ alive }) => {
+        const mafiaCount = alive.filter(p => p.team === 'mafia').length;
+        const maniacCount = alive.filter(p => p.team === 'maniac').length;
+        return mafiaCount > 0 && maniacCount === 0 && mafiaCount >= alive.length - mafiaCount;
+    },
+
+    // Маньяк побеждает, оставшись последним
+    maniac: ({ alive }) => alive.length === 1 && alive[0].team === 'maniac'
+};
+
+// Убийство мафии общее: погибает цель с большинством голосов, при ничьей — никто
+const mafiaKill = {
+    id: 'kill',
+    priority: 40,
+    collective: true,
+    resolve(ctx, submissions) {
+        const votes = new Map();
+        for (const { targets: [target] } of submissions) {
+            votes.set(target, (votes.get(target) || 0) + 1);
+        }
+        const maxVotes = Math.max(0, ...votes.values());
+        const leaders = Array.from(votes.keys()).filter(target => votes.get(target) === maxVotes);
+        if (leaders.length === 1) {
+            ctx.attack(leaders[0], 'mafia');
+        }
+    }
+};
+
+registerRole({
+    id: 'civilian',
+    name: 'Мирный житель',
+    team: 'town',
+    winCondition: winConditions.town
+});
+
+registerRole({
+    id: 'mafia',
+    name: 'Мафия',
+    team: 'mafia',
+    abilities: [mafiaKill],
+    winCondition: winConditions.mafia
+});
+
+registerRole({
+    id: 'don',
+    name: 'Дон',
+    team: 'mafia',
+    abilities: [
+        mafiaKill,
+        {
+            // Дон ищет шерифа
+            id: 'don_check',
+            priority: 30,
+            resolve(ctx, submissions) {
+                for (const { actor, targets: [target] } of submissions) {
+                    ctx.notify(actor, {
+                        type: 'check_result',
+                        ability: 'don_check',
+                        target,
+                        isSheriff: ctx.roleOf(target) === 'sheriff'
+                    });
+                }
+            }
+        }
+    ],
+    winCondition: winConditions.mafia
+});
+
+registerRole({
+    id: 'sheriff',
+    name: 'Шериф',
+    team: 'town',
+    abilities: [{
+        id: 'check',
+        priority: 30,
+        resolve(ctx, submissions) {
+            for (const { actor, targets: [target] } of submissions) {
+                ctx.notify(actor, {
+                    type: 'check_result',
+                    ability: 'check',
+                    target,
+                    isMafia: ctx.teamOf(target) === 'mafia'
+                });
+            }
+        }
+    }],
+    winCondition: winConditions.town
+});
+
+registerRole({
+    id: 'doctor',
+    name: 'Доктор',
+    team: 'town',
+    abilities: [{
+        id: 'heal',
+        priority: 20,
+        allowSelf: true,
+        // Себя доктор может вылечить только один раз за игру
+        validate({ actor, targets, state }) {
+            if (targets[0] === actor && state.selfHealed) {
+                return 'Вы уже лечили себя в этой игре';
+            }
+            return null;
+        },
+        resolve(ctx, submissions) {
+            for (const { actor, targets: [target] } of submissions) {
+                ctx.heal(target);
+                if (target === actor) {
+                    ctx.stateOf(actor).selfHealed = true;
+                }
+            }
+        }
+    }],
+    winCondition: winConditions.town
+});
+
+registerRole({
+    id: 'maniac',
+    name: 'Маньяк',
+    team: 'maniac',
+    abilities: [{
+        id: 'kill',
+        priority: 40,
+        resolve(ctx, submissions) {
+            for (const { targets: [target] } of submissions) {
+                ctx.attack(target, 'maniac');
+            }
+        }
+    }],
+    winCondition: winConditions.maniac
+});
+
+registerRole({
+    id: 'lover',
+    name: 'Любовница',
+    team: 'town',
+    abilities: [{
+        // Блокировка разрешается первой и отменяет действие цели
+        id: 'block',
+        priority: 10,
+        resolve(ctx, submissions) {
+            for (const { targets: [target] } of submissions) {
+                ctx.block(target);
+            }
+        }
+    }],
+    winCondition: winConditions.town
+});
+
+registerRole({
+    id: 'bodyguard',
+    name: 'Телохранитель',
+    team: 'town',
+    abilities: [{
+        // Если цель атакуют, вместо неё погибает телохранитель
+        id: 'guard',
+        priority: 20,
+        resolve(ctx, submissions) {
+            for (const { actor, targets: [target] } of submissions) {
+                ctx.guard(target, actor);
+            }
+        }
+    }],
+    winCondition: winConditions.town
+});
+
+registerRole({
+    id: 'journalist',
+    name: 'Журналист',
+    team: 'town',
+    abilities: [{
+        // Журналист узнаёт, играют ли двое игроков за одну команду
+        id: 'compare',
+        targets: 2,
+        priority: 30,
+        resolve(ctx, submissions) {
+            for (const { actor, targets } of submissions) {
+                ctx.notify(actor, {
+                    type: 'check_result',
+                    ability: 'compare',
+                    targets,
+                    sameTeam: ctx.teamOf(targets[0]) === ctx.teamOf(targets[1])
+                });
+            }
+        }
+    }],
+    winCondition: winConditions.town
+});
+
+registerRole({
+    id: 'kamikaze',
+    name: 'Камикадзе',
+    team: 'town',
+    abilities: [{
+        // Ночью камикадзе намечает, кого заберёт с собой
+        id: 'mark',
+        priority: 50,
+        resolve(ctx, submissions) {
+            for (const { actor, targets: [target] } of submissions) {
+                ctx.stateOf(actor).marked = target;
+            }
+        }
+    }],
+    // Казнённый камикадзе забирает намеченного игрока,
+    // а если такого нет — случайного из голосовавших против него
+    onLynched(ctx) {
+        const marked = ctx.stateOf(ctx.nickname).marked;
+        const candidates = marked && ctx.isAlive(marked)
+            ? [marked]
+            : ctx.voters.filter(voter => ctx.isAlive(voter));
+        if (candidates.length > 0) {
+            ctx.kill(candidates[Math.floor(Math.random() * candidates.length)], 'kamikaze');
+        }
+    },
+    winCondition: winConditions.town
+});
+
+module.exports = {
+    registerRole,
+    getRole,
+    getRoleIds,
+    getRoleTeam,
+    winConditions
+};
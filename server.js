@@ -2,7 +2,28 @@ const express = require('express');
 const http = require('http');
 const WebSocket = require('ws');
 const cors = require('cors');
+const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
+const path = require('path');
+const { createStorage } = require('./storage');
+const { createPubSub } = require('./pubsub');
+const roleRegistry = require('./roles');
+const { getRole, getRoleIds, getRoleTeam } = roleRegistry;
+const botBrain = require('./bots');
+const { createRateLimiter, createChatFilter } = require('./moderation');
+const { buildPlayerView, buildLobbyView, buildRoomView, buildAdminRoomView, diffLobby } = require('./views');
+const matchmaking = require('./matchmaking');
+const {
+    PROTOCOL_VERSION,
+    MIN_PROTOCOL_VERSION,
+    TIE_BREAK_RULES,
+    AFTER_GAME_ACTIONS,
+    REPORT_ACTIONS,
+    ERROR_MESSAGES,
+    validateInbound,
+    validateOutbound,
+    isSupportedVersion
+} = require('./protocol');
 
 // Создаем приложение Express
 const app = express();
@@ -12,70 +33,406 @@ app.use(express.json());
 // Создаем HTTP сервер
 const server = http.createServer(app);
 
-// Создаем WebSocket сервер
-const wss = new WebSocket.Server({ server });
+// Создаем WebSocket сервер; слишком большие сообщения ws отклоняет сам, закрывая соединение
+const MAX_PAYLOAD = parseInt(process.env.MAX_PAYLOAD) || 16 * 1024;
+const wss = new WebSocket.Server({ server, maxPayload: MAX_PAYLOAD });
+
+// Постоянное хранилище: учётные записи, баны и история игр
+const storage = createStorage({
+    type: process.env.STORAGE,
+    directory: process.env.STORAGE_PATH,
+    module: process.env.STORAGE_MODULE,
+    limits: {
+        matches: parseInt(process.env.MATCH_LIMIT) || undefined,
+        replays: parseInt(process.env.REPLAY_LIMIT) || undefined,
+        reports: parseInt(process.env.REPORT_LIMIT) || undefined,
+        audit: parseInt(process.env.AUDIT_LOG_LIMIT) || undefined
+    }
+});
+
+// Связь с другими экземплярами сервера. Каждая комната принадлежит одному экземпляру:
+// сообщения о ней пересылаются владельцу, а он отвечает через экземпляр, к которому подключён игрок
+const INSTANCE_ID = process.env.INSTANCE_ID || uuidv4();
+const pubsub = createPubSub({
+    type: process.env.PUBSUB,
+    url: process.env.REDIS_URL,
+    module: process.env.PUBSUB_MODULE
+});
+
+// Файлы у каждого экземпляра свои, и каждый переписывал бы коллекции своей устаревшей копией
+const CLUSTERED = Boolean(process.env.PUBSUB_MODULE) || (process.env.PUBSUB || 'memory') !== 'memory';
+if (CLUSTERED && !process.env.STORAGE_MODULE && process.env.STORAGE !== 'memory') {
+    console.error('Несколько экземпляров не могут работать с файловым хранилищем: задайте STORAGE_MODULE с общей базой');
+    process.exit(1);
+}
+const CLUSTER_CHANNEL = 'cluster';
+
+// Сообщения, которые не относятся к комнате и всегда обрабатываются там, где подключён клиент
+const LOCAL_MESSAGES = new Set([
+    'user_connected', 'resume_session', 'ping', 'get_rooms', 'create_room',
+    'admin_ban_player', 'admin_unban', 'admin_warn', 'admin_audit_log', 'admin_list_bans',
+    'admin_list_reports', 'admin_resolve_report', 'join_queue', 'leave_queue', 'match_ready'
+]);
 
 // Хранилище данных
 const users = new Map(); // nickname -> user data
 const rooms = new Map(); // roomId -> room data
 const connections = new Map(); // ws -> user nickname
+const userSockets = new Map(); // nickname -> Set(ws), обратный индекс к connections
+const playerRooms = new Map(); // nickname -> roomId комнаты, где игрок (или бот) сидит за столом
+const roomSockets = new Map(); // roomId -> Set(ws) соединений игроков комнаты
 const bannedUsers = new Map(); // nickname -> {until, reason}
+const mutedUsers = new Map(); // nickname -> {until, reason}
+const roomMutes = new Map(); // roomId -> Map(nickname -> {until, reason}), живут вместе с комнатой
+let lobbySnapshot = new Map(); // roomId -> последняя разосланная сводка комнаты (JSON)
+const lastChatMessages = new Map(); // nickname -> время последнего сообщения, для медленного режима
+const chatOffenses = new Map(); // nickname -> время недавних нарушений в чате
+const clientIps = new Map(); // ws -> IP клиента
+const games = new Map(); // roomId -> состояние текущей партии
+const phaseTimers = new Map(); // roomId -> таймер текущей фазы
+const sessions = new Map(); // sessionToken -> nickname
+const disconnectTimers = new Map(); // nickname -> таймер удаления после отключения
+const chatHistory = new Map(); // roomId -> последние сообщения чата
+const accounts = new Map(); // nickname -> {passwordHash, salt, role, createdAt}
+const bots = new Map(); // nickname бота -> {roomId, difficulty, memory}
+const botTimers = new Map(); // roomId -> отложенные действия ботов
+const inviteCodes = new Map(); // код приглашения -> roomId
+const spectators = new Map(); // roomId -> Map(nickname -> {fullReveal})
+const roomPasswords = new Map(); // roomId -> {passwordHash, salt}, хранится отдельно от комнаты, чтобы не попасть в рассылки
+const remoteSockets = new Map(); // nickname -> представитель игрока, подключённого к другому экземпляру
+const remoteRooms = new Map(); // nickname -> {roomId, instance}, если наш игрок в комнате другого экземпляра
+const remoteLobby = new Map(); // roomId -> {instance, view} — комнаты других экземпляров
+const forwardedTo = new Map(); // ws -> Set(экземпляр), куда пересылались сообщения соединения
+const routingQueues = new Map(); // ws -> цепочка пересылки, сохраняющая порядок сообщений
+const matchQueues = new Map(); // ключ корзины -> игроки в очереди в порядке постановки
+const queueEntries = new Map(); // nickname -> {ws, key, players, preset, rating, ratingBand, joinedAt, matchId}
+const pendingMatches = new Map(); // matchId -> {id, key, entries, ready: Set(nickname), timer}
+const matchWaits = new Map(); // ключ корзины -> время ожидания в недавних подборах (в секундах)
+const awaitingPong = new Set(); // соединения, не ответившие на последний ping сервера
+
+// Что делать, если игрок открыл вторую вкладку: 'takeover' — новое соединение вытесняет старое,
+// 'reject' — новое соединение отклоняется. Восстановление сессии всегда вытесняет старое соединение
+const SECOND_TAB_POLICY = process.env.SECOND_TAB_POLICY === 'reject' ? 'reject' : 'takeover';
+
+// Подбор игроков: размер стола по умолчанию, время на подтверждение (в секундах)
+// и как часто обновлять игрокам оценку ожидания (в миллисекундах)
+const DEFAULT_QUEUE_PLAYERS = 8;
+const READY_CHECK_TIMEOUT = parseInt(process.env.READY_CHECK_TIMEOUT) || 15;
+const QUEUE_STATUS_INTERVAL = 10000;
+
+// Как часто сервер проверяет соединения (в секундах); не ответившее до следующей проверки закрывается
+const HEARTBEAT_INTERVAL = parseInt(process.env.HEARTBEAT_INTERVAL) || 30;
+
+// Неактивные игроки: после AFK_SKIP_AFTER пропущенных ходов подряд фаза их больше не ждёт,
+// после AFK_REPLACE_AFTER место занимает бот ('bot') или игрок выбывает ('remove')
+const AFK_SKIP_AFTER = parseInt(process.env.AFK_SKIP_AFTER) || 2;
+const AFK_REPLACE_AFTER = parseInt(process.env.AFK_REPLACE_AFTER) || 3;
+const AFK_ACTION = process.env.AFK_ACTION === 'remove' ? 'remove' : 'bot';
+
+// Комнату в ожидании, где никто ничего не делал столько минут, закрываем
+const STALE_ROOM_TIMEOUT = parseInt(process.env.STALE_ROOM_TIMEOUT) || 30;
+
+// Сколько ждать переподключения игрока, прежде чем освободить его место (в секундах)
+const RECONNECT_GRACE_PERIOD = parseInt(process.env.RECONNECT_GRACE_PERIOD) || 60;
+const CHAT_HISTORY_LIMIT = 50;
+
+// Сколько последних сообщений чата прикладывать к жалобе
+const REPORT_CHAT_CONTEXT = 20;
+
+// Задержка перед ходом бота (в миллисекундах), чтобы он не отвечал мгновенно
+const BOT_MIN_DELAY = 1000;
+const BOT_MAX_DELAY = 6000;
+
+// Коды приглашений: без похожих символов (0/O, 1/I), чтобы их было легко продиктовать
+const INVITE_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const INVITE_CODE_LENGTH = 6;
+
+// Задержка полного обзора для зрителей (секунды): стример не должен подсказывать игрокам
+const SPECTATOR_REVEAL_DELAY = parseInt(process.env.SPECTATOR_REVEAL_DELAY) || 60;
+
+// Ограничения частоты: не больше limit сообщений типа за interval мс с одного соединения.
+// С одного IP могут играть несколько вкладок, поэтому для IP лимит умножается
+const RATE_LIMITS = {
+    default: { limit: 30, interval: 10000 },
+    user_connected: { limit: 5, interval: 60000 },
+    resume_session: { limit: 5, interval: 60000 },
+    get_rooms: { limit: 5, interval: 10000 },
+    create_room: { limit: 3, interval: 60000 },
+    join_room: { limit: 10, interval: 60000 },
+    spectate_room: { limit: 10, interval: 60000 },
+    chat_message: { limit: 5, interval: 5000 },
+    report_player: { limit: 3, interval: 10 * 60 * 1000 },
+    join_queue: { limit: 10, interval: 60000 }
+};
+const IP_RATE_MULTIPLIER = parseInt(process.env.IP_RATE_MULTIPLIER) || 3;
+const TRUST_PROXY = process.env.TRUST_PROXY === 'true';
+
+// Фильтр чата: CHAT_FILTER_WORDS — список корней через запятую, CHAT_FILTER_LINKS=false разрешает ссылки
+const chatFilter = createChatFilter({
+    words: process.env.CHAT_FILTER_WORDS !== undefined
+        ? process.env.CHAT_FILTER_WORDS.split(',').map(word => word.trim().toLowerCase()).filter(Boolean)
+        : undefined,
+    blockLinks: process.env.CHAT_FILTER_LINKS !== 'false'
+});
+const connectionLimiter = createRateLimiter();
+const ipLimiter = createRateLimiter();
+
+// Автоматический мут: столько нарушений за окно — и игрок молчит AUTO_MUTE_DURATION минут
+const CHAT_OFFENSE_LIMIT = 3;
+const CHAT_OFFENSE_WINDOW = 10 * 60 * 1000;
+const AUTO_MUTE_DURATION = parseInt(process.env.AUTO_MUTE_DURATION) || 10;
+
+// Проверять исходящие сообщения по схемам протокола (вне продакшена)
+const CHECK_OUTBOUND_MESSAGES = process.env.NODE_ENV !== 'production';
+
+// Секрет для подписи токенов. Без AUTH_SECRET токены не переживут перезапуск
+const AUTH_SECRET = process.env.AUTH_SECRET || crypto.randomBytes(32).toString('hex');
+const TOKEN_TTL = 7 * 24 * 60 * 60 * 1000;
+
+// Вход и регистрация считают хэш пароля синхронно, поэтому частоту ограничиваем по IP
+const AUTH_RATE_LIMIT = { limit: 20, interval: 60000 };
+
+// Права глобальных ролей
+const ROLE_PERMISSIONS = {
+    admin: ['force_start', 'add_bot', 'end_game', 'kick_player', 'ban_player', 'mute_player', 'warn_player', 'slow_mode', 'review_reports', 'view_audit', 'inspect_rooms', 'manage_roles', 'lock_room', 'transfer_host', 'update_room', 'start_game'],
+    moderator: ['end_game', 'kick_player', 'ban_player', 'mute_player', 'warn_player', 'slow_mode', 'review_reports'],
+    user: []
+};
+
+// Права хозяина комнаты действуют только в его комнате
+const HOST_PERMISSIONS = ['force_start', 'add_bot', 'kick_player', 'mute_player', 'slow_mode', 'lock_room', 'transfer_host', 'update_room', 'start_game'];
+
+// Длительность фаз по умолчанию (в секундах)
+const DEFAULT_PHASE_DURATIONS = {
+    night: 60,
+    morning: 10,
+    day: 120,
+    vote: 45,
+    execution: 10
+};
+const MAX_PHASE_DURATION = 600;
+
+// Готовые составы ролей для тематических вечеров
+const ROLE_PRESETS = {
+    classic_7: {
+        name: 'Классика на 7',
+        minPlayers: 7,
+        maxPlayers: 7,
+        composition: { mafia: 2, sheriff: 1, doctor: 1, civilian: 3 }
+    },
+    classic_10: {
+        name: 'Классика на 10',
+        minPlayers: 10,
+        maxPlayers: 10,
+        composition: { mafia: 3, sheriff: 1, doctor: 1, civilian: 5 }
+    },
+    big_12: {
+        name: 'Большая игра на 12',
+        minPlayers: 12,
+        maxPlayers: 12,
+        composition: { mafia: 3, sheriff: 1, doctor: 1, maniac: 1, lover: 2, civilian: 4 }
+    },
+    big_12_don: {
+        name: 'Большая игра на 12 с доном',
+        minPlayers: 12,
+        maxPlayers: 12,
+        composition: { mafia: 2, don: 1, sheriff: 1, doctor: 1, bodyguard: 1, journalist: 1, kamikaze: 1, civilian: 4 }
+    }
+};
+
+// Рейтинг Эло
+const INITIAL_RATING = 1500;
+const RATING_K_FACTOR = 32;
+const LEADERBOARD_MAX_LIMIT = 100;
+
+// Порядок фаз: ночь → утро → день → голосование → казнь → ночь
+const NEXT_PHASE = {
+    night: 'morning',
+    morning: 'day',
+    day: 'vote',
+    vote: 'execution',
+    execution: 'night'
+};
 
 // Обработка WebSocket соединений
-wss.on('connection', (ws) => {
+wss.on('connection', (ws, req) => {
     console.log('Новое соединение установлено');
+    
+    clientIps.set(ws, getClientIp(req));
+    
+    ws.on('pong', () => awaitingPong.delete(ws));
 
     // Обработка сообщений
     ws.on('message', (message) => {
+        awaitingPong.delete(ws);
+        
+        let data;
+        try {
+            data = JSON.parse(message);
+        } catch (error) {
+            sendError(ws, 'INVALID_JSON');
+            return;
+        }
+        
         try {
-            const data = JSON.parse(message);
             handleMessage(ws, data);
         } catch (error) {
             console.error('Ошибка обработки сообщения:', error);
-            sendError(ws, 'Неверный формат сообщения');
+            sendError(ws, 'INTERNAL_ERROR');
         }
     });
 
     // Обработка отключений
-    ws.on('close', () => {
-        const nickname = connections.get(ws);
-        if (nickname) {
-            console.log(`Пользователь ${nickname} отключился`);
-            connections.delete(ws);
-            
-            // Удаляем пользователя из комнат
-            for (const [roomId, room] of rooms.entries()) {
-                const playerIndex = room.players.findIndex(p => p.nickname === nickname);
-                if (playerIndex !== -1) {
-                    room.players.splice(playerIndex, 1);
-                    
-                    // Если комната пуста, удаляем её
-                    if (room.players.length === 0) {
-                        rooms.delete(roomId);
-                    } else {
-                        // Уведомляем остальных игроков
-                        broadcastToRoom(roomId, {
-                            type: 'player_left',
-                            player: { nickname },
-                            room
-                        });
-                    }
-                    
-                    break;
-                }
-            }
+    ws.on('close', () => handleDisconnect(ws));
+});
+
+function handleDisconnect(ws) {
+    clientIps.delete(ws);
+    awaitingPong.delete(ws);
+    connectionLimiter.remove(ws);
+    routingQueues.delete(ws);
+    
+    // Владельцы комнат на других экземплярах тоже должны узнать об отключении
+    const nickname = connections.get(ws);
+    if (nickname) {
+        for (const instance of forwardedTo.get(ws) || []) {
+            publishTo(instance, { kind: 'disconnect', nickname });
+        }
+    }
+    forwardedTo.delete(ws);
+    
+    // Вытесненное соединение уже отвязано, игрок остаётся в сети через новое
+    if (nickname) {
+        console.log(`Пользователь ${nickname} отключился`);
+        if (queueEntries.has(nickname) && queueEntries.get(nickname).ws === ws) {
+            removeFromQueue(nickname, 'disconnected');
+        }
+        unbindSocket(ws);
+        if (remoteSockets.get(nickname) === ws) {
+            remoteSockets.delete(nickname);
+        }
+        removeSpectator(nickname);
+        
+        // Сохраняем место за игроком, пока он может восстановить сессию
+        const room = findPlayerRoom(nickname);
+        if (room) {
+            const player = room.players.find(p => p.nickname === nickname);
+            player.connected = false;
             
-            // Обновляем список комнат для всех
-            broadcastRoomsList();
+            broadcastToRoom(room.id, {
+                type: 'player_disconnected',
+                player: { nickname }
+            });
+        }
+        
+        clearDisconnectTimer(nickname);
+        disconnectTimers.set(nickname, setTimeout(() => removeDisconnectedUser(nickname), RECONNECT_GRACE_PERIOD * 1000));
+    }
+}
+
+// Время на переподключение вышло — освобождаем место игрока
+function removeDisconnectedUser(nickname) {
+    disconnectTimers.delete(nickname);
+    deleteSessions(nickname);
+    lastChatMessages.delete(nickname);
+    
+    // Удаляем пользователя из комнаты
+    const room = findPlayerRoom(nickname);
+    if (room) {
+        removePlayerFromRoom(room, nickname);
+        
+        // Если в комнате не осталось людей, удаляем её
+        if (room.players.every(p => p.isBot)) {
+            deleteRoom(room);
+        } else {
+            // Уведомляем остальных игроков
+            broadcastRoomState(room, {
+                type: 'player_left',
+                player: { nickname }
+            });
+            reassignHost(room);
+            onPlayerRemoved(room, nickname);
+        }
+    }
+    
+    // Обновляем список комнат для всех
+    broadcastRoomsList();
+}
+
+// Любое сообщение участника, кроме ping, считается активностью в комнате
+function touchRoom(nickname, data) {
+    if (!nickname || data.type === 'ping') return;
+    
+    const room = findPlayerRoom(nickname);
+    if (room) {
+        room.lastActivityAt = Date.now();
+    }
+}
+
+function cleanupStaleRooms() {
+    const deadline = Date.now() - STALE_ROOM_TIMEOUT * 60 * 1000;
+    let removed = 0;
+    for (const room of Array.from(rooms.values())) {
+        if (room.status === 'waiting' && room.lastActivityAt < deadline) {
+            console.log(`Комната "${room.name}" закрыта из-за неактивности`);
+            deleteRoom(room, 'inactive');
+            removed++;
+        }
+    }
+    if (removed > 0) {
+        broadcastRoomsList();
+    }
+}
+
+// Полуоткрытые соединения не присылают pong: закрываем их, дальше всё как при обычном отключении
+function checkHeartbeats() {
+    wss.clients.forEach(ws => {
+        if (awaitingPong.has(ws)) {
+            ws.terminate();
+            return;
         }
+        awaitingPong.add(ws);
+        ws.ping();
     });
-});
+}
 
 // Обработка сообщений
 function handleMessage(ws, data) {
+    if (isRateLimited(ws, data)) return;
+    
+    // Старому клиенту сначала сообщаем о несовместимой версии, а не об ошибке формата
+    if (data && data.type === 'user_connected' && !isSupportedVersion(data.protocolVersion)) {
+        sendError(ws, 'UNSUPPORTED_PROTOCOL', undefined, {
+            serverVersion: PROTOCOL_VERSION,
+            minVersion: MIN_PROTOCOL_VERSION
+        });
+        return;
+    }
+    
+    const invalid = validateInbound(data);
+    if (invalid) {
+        sendError(ws, invalid.code, invalid.message);
+        return;
+    }
+    
+    const nickname = connections.get(ws);
+    if (nickname) {
+        routeMessage(ws, nickname, data);
+        return;
+    }
+    
+    dispatchMessage(ws, data);
+}
+
+function dispatchMessage(ws, data) {
+    touchRoom(connections.get(ws), data);
+    
     switch (data.type) {
         case 'user_connected':
-            handleUserConnected(ws, data.user);
+            handleUserConnected(ws, data);
+            break;
+        case 'resume_session':
+            handleResumeSession(ws, data);
             break;
         case 'ping':
             send(ws, { type: 'pong' });
@@ -92,9 +449,39 @@ function handleMessage(ws, data) {
         case 'leave_room':
             handleLeaveRoom(ws, data);
             break;
+        case 'spectate_room':
+            handleSpectateRoom(ws, data);
+            break;
+        case 'stop_spectating':
+            handleStopSpectating(ws, data);
+            break;
         case 'chat_message':
             handleChatMessage(ws, data);
             break;
+        case 'nominate':
+            handleNominate(ws, data);
+            break;
+        case 'vote':
+            handleVote(ws, data);
+            break;
+        case 'night_action':
+            handleNightAction(ws, data);
+            break;
+        case 'host_kick':
+            handleHostKick(ws, data);
+            break;
+        case 'host_lock':
+            handleHostLock(ws, data);
+            break;
+        case 'host_transfer':
+            handleHostTransfer(ws, data);
+            break;
+        case 'host_update_room':
+            handleHostUpdateRoom(ws, data);
+            break;
+        case 'host_start':
+            handleHostStart(ws, data);
+            break;
         case 'admin_force_start':
             handleAdminForceStart(ws, data);
             break;
@@ -110,29 +497,107 @@ function handleMessage(ws, data) {
         case 'admin_ban_player':
             handleAdminBanPlayer(ws, data);
             break;
+        case 'admin_unban':
+            handleAdminUnban(ws, data);
+            break;
+        case 'admin_mute':
+            handleAdminMute(ws, data);
+            break;
+        case 'admin_unmute':
+            handleAdminUnmute(ws, data);
+            break;
+        case 'admin_warn':
+            handleAdminWarn(ws, data);
+            break;
+        case 'admin_slow_mode':
+            handleAdminSlowMode(ws, data);
+            break;
+        case 'admin_audit_log':
+            handleAdminAuditLog(ws, data);
+            break;
+        case 'admin_list_bans':
+            handleAdminListBans(ws, data);
+            break;
+        case 'report_player':
+            handleReportPlayer(ws, data);
+            break;
+        case 'admin_list_reports':
+            handleAdminListReports(ws, data);
+            break;
+        case 'admin_resolve_report':
+            handleAdminResolveReport(ws, data);
+            break;
+        case 'join_queue':
+            handleJoinQueue(ws, data);
+            break;
+        case 'leave_queue':
+            handleLeaveQueue(ws);
+            break;
+        case 'match_ready':
+            handleMatchReady(ws, data);
+            break;
         default:
-            sendError(ws, 'Неизвестный тип сообщения');
+            sendError(ws, 'UNKNOWN_MESSAGE_TYPE');
     }
 }
 
 // Обработчики сообщений
-function handleUserConnected(ws, user) {
-    const nickname = user.nickname;
+function handleUserConnected(ws, data) {
+    // Никнейм берём только из подписанного токена
+    const payload = verifyToken(data.token);
+    if (!payload) {
+        sendError(ws, 'INVALID_TOKEN');
+        return;
+    }
+    
+    // Из профиля клиента берём только известные поля
+    const nickname = payload.nickname;
+    const user = { nickname, avatar: data.user ? data.user.avatar : undefined };
     
     // Проверяем бан
-    const banInfo = bannedUsers.get(nickname);
+    const banInfo = getActiveBan(nickname);
     if (banInfo) {
-        const now = Date.now();
-        if (banInfo.until === 0 || now < banInfo.until) {
-            sendError(ws, `Вы забанены: ${banInfo.reason}${banInfo.until ? ` (до ${new Date(banInfo.until).toLocaleString()})` : ' (навсегда)'}`);
+        sendError(ws, 'BANNED', formatBanMessage(banInfo), { until: banInfo.until, reason: banInfo.reason });
+        return;
+    }
+    
+    // Вторая вкладка того же игрока
+    const otherSockets = getLocalSockets(nickname).filter(clientWs => clientWs !== ws);
+    if (otherSockets.length > 0) {
+        if (SECOND_TAB_POLICY === 'reject') {
+            sendError(ws, 'ALREADY_CONNECTED');
             return;
-        } else {
-            bannedUsers.delete(nickname);
+        }
+        removeFromQueue(nickname, 'session_replaced');
+        for (const clientWs of otherSockets) {
+            send(clientWs, { type: 'session_replaced' });
+            unbindSocket(clientWs);
+            clientWs.close();
         }
     }
     
     users.set(nickname, user);
-    connections.set(ws, nickname);
+    bindSocket(ws, nickname);
+    // Вошёл заново, пока место за ним держалось: оно остаётся его
+    markReconnected(nickname);
+    
+    // Сохраняем профиль зарегистрированного пользователя, если он изменился
+    const account = accounts.get(nickname);
+    if (account && JSON.stringify(account.profile) !== JSON.stringify(user)) {
+        account.profile = user;
+        updateAccount(account);
+    }
+    
+    // Выдаём токен, по которому можно вернуться после обрыва связи
+    deleteSessions(nickname);
+    const sessionToken = uuidv4();
+    sessions.set(sessionToken, nickname);
+    send(ws, {
+        type: 'session_started',
+        sessionToken,
+        role: getUserRole(nickname),
+        protocolVersion: PROTOCOL_VERSION
+    });
     
     console.log(`Пользователь ${nickname} подключился`);
     
@@ -140,32 +605,137 @@ function handleUserConnected(ws, user) {
     sendRoomsList(ws);
 }
 
+function handleResumeSession(ws, data) {
+    const nickname = sessions.get(data.sessionToken);
+    if (!nickname) {
+        sendError(ws, 'SESSION_NOT_FOUND');
+        return;
+    }
+    
+    const banInfo = getActiveBan(nickname);
+    if (banInfo) {
+        deleteSessions(nickname);
+        sendError(ws, 'BANNED', formatBanMessage(banInfo), { until: banInfo.until, reason: banInfo.reason });
+        return;
+    }
+    
+    // Отвязываем старый сокет, если он ещё открыт; очередь подбора была привязана к нему
+    for (const clientWs of getLocalSockets(nickname)) {
+        if (clientWs !== ws) {
+            if (queueEntries.has(nickname) && queueEntries.get(nickname).ws === clientWs) {
+                removeFromQueue(nickname, 'session_replaced');
+            }
+            send(clientWs, { type: 'session_replaced' });
+            unbindSocket(clientWs);
+            clientWs.close();
+        }
+    }
+    
+    bindSocket(ws, nickname);
+    
+    // Комната игрока на другом экземпляре: состояние пришлёт её владелец
+    const remote = remoteRooms.get(nickname);
+    if (remote) {
+        clearDisconnectTimer(nickname);
+        forwardMessage(ws, nickname, remote.instance, { kind: 'resume' });
+        return;
+    }
+    
+    restoreSession(ws, nickname);
+}
+
+function restoreSession(ws, nickname) {
+    markReconnected(nickname);
+    
+    const room = findPlayerRoom(nickname);
+    const game = room && games.get(room.id);
+    const player = room && room.players.find(p => p.nickname === nickname);
+    
+    // Восстанавливаем состояние комнаты, роль и последние сообщения
+    send(ws, {
+        type: 'session_resumed',
+        nickname,
+        room: room ? getRoomView(room, nickname) : null,
+        role: game ? game.roles.get(nickname) : null,
+        game: game ? {
+            phase: game.phase,
+            day: game.day,
+            endsAt: new Date(game.phaseEndsAt).toISOString()
+        } : null,
+        chat: room ? (chatHistory.get(room.id) || []).filter(entry => canReadChannel(game, player, entry.channel)) : []
+    });
+    
+    sendRoomsList(ws);
+    
+    console.log(`Пользователь ${nickname} восстановил сессию`);
+}
+
+function markReconnected(nickname) {
+    clearDisconnectTimer(nickname);
+    
+    const room = findPlayerRoom(nickname);
+    const player = room && room.players.find(p => p.nickname === nickname);
+    if (player && player.connected === false) {
+        player.connected = true;
+        broadcastToRoom(room.id, {
+            type: 'player_reconnected',
+            player: { nickname }
+        });
+    }
+}
+
 function handleCreateRoom(ws, data) {
     const nickname = connections.get(ws);
     if (!nickname) {
-        sendError(ws, 'Вы не авторизованы');
+        sendError(ws, 'NOT_AUTHENTICATED');
+        return;
+    }
+    
+    const activeRoomId = findActiveRoomId(nickname);
+    if (activeRoomId) {
+        sendError(ws, 'IN_ANOTHER_ROOM', undefined, { roomId: activeRoomId });
+        return;
+    }
+    
+    const { config, error } = buildRoomConfig(data);
+    if (error) {
+        sendError(ws, 'INVALID_ROOM_SETTINGS', error);
         return;
     }
     
+    const password = data.password || '';
+    
     const roomId = uuidv4();
     const room = {
         id: roomId,
         name: data.name,
         creator: users.get(nickname),
-        players: [users.get(nickname)],
-        minPlayers: data.minPlayers,
-        maxPlayers: data.maxPlayers,
-        roles: data.roles,
+        host: nickname,
+        players: [],
+        ...config,
+        locked: false,
+        kicked: [],
+        isPrivate: data.isPrivate === true,
+        hasPassword: password.length > 0,
+        inviteCode: generateInviteCode(),
         status: 'waiting',
-        createdAt: new Date().toISOString()
+        createdAt: new Date().toISOString(),
+        lastActivityAt: Date.now()
     };
     
     rooms.set(roomId, room);
+    addPlayerToRoom(room, createPlayer(users.get(nickname)));
+    inviteCodes.set(room.inviteCode, roomId);
+    claimRoom(room);
+    if (password) {
+        const salt = crypto.randomBytes(16).toString('hex');
+        roomPasswords.set(roomId, { passwordHash: hashPassword(password, salt), salt });
+    }
     
     // Отправляем создателю информацию о комнате
     send(ws, {
         type: 'room_created',
-        room
+        room: getRoomView(room, nickname)
     });
     
     // Обновляем список комнат для всех
@@ -177,47 +747,72 @@ function handleCreateRoom(ws, data) {
 function handleJoinRoom(ws, data) {
     const nickname = connections.get(ws);
     if (!nickname) {
-        sendError(ws, 'Вы не авторизованы');
+        sendError(ws, 'NOT_AUTHENTICATED');
         return;
     }
     
-    const room = rooms.get(data.roomId);
-    if (!room) {
-        sendError(ws, 'Комната не найдена');
+    // В закрытую комнату можно попасть только по коду приглашения
+    const room = data.inviteCode
+        ? findRoomByInviteCode(data.inviteCode)
+        : rooms.get(data.roomId);
+    if (!room || (room.isPrivate && !data.inviteCode)) {
+        sendError(ws, data.inviteCode ? 'INVALID_INVITE_CODE' : 'ROOM_NOT_FOUND');
         return;
     }
     
     if (room.status !== 'waiting') {
-        sendError(ws, 'Игра уже началась');
+        sendError(ws, 'GAME_ALREADY_STARTED');
+        return;
+    }
+    
+    if (room.hasPassword && !checkPassword(roomPasswords.get(room.id), String(data.password || ''))) {
+        sendError(ws, 'WRONG_ROOM_PASSWORD');
+        return;
+    }
+    
+    if (room.locked) {
+        sendError(ws, 'ROOM_LOCKED');
+        return;
+    }
+    
+    if (room.kicked.includes(nickname)) {
+        sendError(ws, 'KICKED_FROM_ROOM');
         return;
     }
     
     if (room.players.length >= room.maxPlayers) {
-        sendError(ws, 'Комната заполнена');
+        sendError(ws, 'ROOM_FULL');
         return;
     }
     
     // Проверяем, не находится ли игрок уже в комнате
-    if (room.players.find(p => p.nickname === nickname)) {
-        sendError(ws, 'Вы уже в этой комнате');
+    const activeRoomId = findActiveRoomId(nickname);
+    if (activeRoomId === room.id) {
+        sendError(ws, 'ALREADY_IN_ROOM');
+        return;
+    }
+    if (activeRoomId) {
+        sendError(ws, 'IN_ANOTHER_ROOM', undefined, { roomId: activeRoomId });
         return;
     }
     
+    // Зритель, севший за стол, перестаёт наблюдать
+    removeSpectator(nickname);
+    
     // Добавляем игрока в комнату
-    const user = users.get(nickname);
-    room.players.push(user);
+    const player = createPlayer(users.get(nickname));
+    addPlayerToRoom(room, player);
     
     // Отправляем игроку информацию о комнате
     send(ws, {
         type: 'room_joined',
-        room
+        room: getRoomView(room, nickname)
     });
     
     // Уведомляем всех игроков в комнате о новом игроке
-    broadcastToRoom(room.id, {
+    broadcastRoomState(room, {
         type: 'player_joined',
-        player: user,
-        room
+        player: buildPlayerView(player)
     });
     
     // Проверяем, нужно ли начинать игру
@@ -232,36 +827,36 @@ function handleJoinRoom(ws, data) {
 function handleLeaveRoom(ws, data) {
     const nickname = connections.get(ws);
     if (!nickname) {
-        sendError(ws, 'Вы не авторизованы');
+        sendError(ws, 'NOT_AUTHENTICATED');
         return;
     }
     
     const room = rooms.get(data.roomId);
     if (!room) {
-        sendError(ws, 'Комната не найдена');
+        sendError(ws, 'ROOM_NOT_FOUND');
         return;
     }
     
     // Удаляем игрока из комнаты
     const playerIndex = room.players.findIndex(p => p.nickname === nickname);
     if (playerIndex === -1) {
-        sendError(ws, 'Вы не находитесь в этой комнате');
+        sendError(ws, 'NOT_IN_ROOM');
         return;
     }
     
-    const player = room.players[playerIndex];
-    room.players.splice(playerIndex, 1);
+    const player = removePlayerFromRoom(room, nickname);
     
-    // Если комната пуста, удаляем её
-    if (room.players.length === 0) {
-        rooms.delete(room.id);
+    // Если в комнате не осталось людей, удаляем её
+    if (room.players.every(p => p.isBot)) {
+        deleteRoom(room);
     } else {
         // Уведомляем остальных игроков
-        broadcastToRoom(room.id, {
+        broadcastRoomState(room, {
             type: 'player_left',
-            player,
-            room
+            player: buildPlayerView(player)
         });
+        reassignHost(room);
+        onPlayerRemoved(room, nickname);
     }
     
     // Обновляем список комнат для всех
@@ -273,395 +868,3192 @@ function handleLeaveRoom(ws, data) {
 function handleChatMessage(ws, data) {
     const nickname = connections.get(ws);
     if (!nickname) {
-        sendError(ws, 'Вы не авторизованы');
+        sendError(ws, 'NOT_AUTHENTICATED');
         return;
     }
     
     const room = rooms.get(data.roomId);
     if (!room) {
-        sendError(ws, 'Комната не найдена');
+        sendError(ws, 'ROOM_NOT_FOUND');
         return;
     }
     
-    // Проверяем, находится ли игрок в комнате
-    if (!room.players.find(p => p.nickname === nickname)) {
-        sendError(ws, 'Вы не находитесь в этой комнате');
+    const channel = data.channel || 'public';
+    
+    const mute = getActiveMute(nickname, room.id);
+    if (mute) {
+        sendError(ws, 'MUTED', formatMuteMessage(mute), { until: mute.until, reason: mute.reason });
         return;
     }
     
-    // Отправляем сообщение всем игрокам в комнате
-    broadcastToRoom(data.roomId, {
-        type: 'chat_message',
-        sender: nickname,
-        message: data.message,
-        timestamp: new Date().toISOString()
-    });
-}
-
-// Админ функции
-function handleAdminForceStart(ws, data) {
-    const nickname = connections.get(ws);
-    if (!nickname || nickname !== 'Anubis') {
-        sendError(ws, 'У вас нет прав администратора');
-        return;
+    // Зрители пишут только в свой канал, игроки — туда, куда им можно в этой фазе
+    if (isSpectating(room.id, nickname)) {
+        if (channel !== 'spectators') {
+            sendError(ws, 'CHAT_FORBIDDEN', 'Зрители могут писать только в чат зрителей');
+            return;
+        }
+    } else {
+        const player = room.players.find(p => p.nickname === nickname);
+        if (!player) {
+            sendError(ws, 'NOT_IN_ROOM');
+            return;
+        }
+        
+        const error = getChatWriteError(games.get(room.id), player, channel);
+        if (error) {
+            sendError(ws, 'CHAT_FORBIDDEN', error);
+            return;
+        }
     }
     
-    // Находим комнату, в которой находится админ
-    let adminRoom = null;
-    for (const [roomId, room] of rooms.entries()) {
-        if (room.players.find(p => p.nickname === nickname)) {
-            adminRoom = room;
-            break;
+    // Медленный режим: модераторов и хозяина не ограничиваем
+    const slowMode = room.settings.slowMode || 0;
+    if (slowMode > 0 && !hasPermission(nickname, 'slow_mode', room)) {
+        const waitFor = (lastChatMessages.get(nickname) || 0) + slowMode * 1000 - Date.now();
+        if (waitFor > 0) {
+            sendError(ws, 'SLOW_MODE', undefined, { retryAfter: Math.ceil(waitFor / 1000) });
+            return;
         }
     }
     
-    if (!adminRoom) {
-        sendError(ws, 'Вы не находитесь ни в одной комнате');
+    // Ссылки не пропускаем, ругательства скрываем; и то и другое считается нарушением
+    const { text, violations } = chatFilter.check(data.message);
+    if (violations.length > 0) {
+        registerChatOffense(nickname, violations.includes('link') ? 'Ссылки в чате' : 'Нецензурная брань');
+    }
+    if (violations.includes('link')) {
+        sendError(ws, 'MESSAGE_BLOCKED', 'Ссылки в чате запрещены');
         return;
     }
     
-    // Запускаем игру
-    startGame(adminRoom);
+    lastChatMessages.set(nickname, Date.now());
     
-    broadcastToRoom(adminRoom.id, {
-        type: 'game_force_started',
-        admin: nickname
-    });
+    postChatMessage(room, nickname, channel, text);
+}
+
+// Отправляем сообщение только тем, кому доступен канал
+function postChatMessage(room, nickname, channel, text) {
+    const game = games.get(room.id);
+    const message = {
+        type: 'chat_message',
+        channel,
+        sender: nickname,
+        message: text,
+        timestamp: new Date().toISOString()
+    };
+    saveChatMessage(room.id, message);
+    if (game && channel !== 'spectators') {
+        recordEvent(game, 'chat', { channel, sender: nickname, message: text });
+    }
     
-    console.log(`Администратор ${nickname} принудительно запустил игру в комнате "${adminRoom.name}"`);
+    if (channel === 'spectators') {
+        for (const spectator of getSpectators(room.id).keys()) {
+            sendToPlayer(spectator, message);
+        }
+        return;
+    }
+    
+    for (const recipient of room.players) {
+        if (canReadChannel(game, recipient, channel)) {
+            sendToPlayer(recipient.nickname, message);
+        }
+    }
+    // Закрытые каналы видны только в полном обзоре
+    sendToSpectators(room.id, message, channel !== 'public');
 }
 
-function handleAdminAddBot(ws, data) {
+function handleNominate(ws, data) {
     const nickname = connections.get(ws);
-    if (!nickname || nickname !== 'Anubis') {
-        sendError(ws, 'У вас нет прав администратора');
+    if (!nickname) {
+        sendError(ws, 'NOT_AUTHENTICATED');
         return;
     }
     
-    // Находим комнату, в которой находится админ
-    let adminRoom = null;
-    for (const [roomId, room] of rooms.entries()) {
-        if (room.players.find(p => p.nickname === nickname)) {
-            adminRoom = room;
-            break;
-        }
+    const room = rooms.get(data.roomId);
+    if (!room) {
+        sendError(ws, 'ROOM_NOT_FOUND');
+        return;
     }
     
-    if (!adminRoom) {
-        sendError(ws, 'Вы не находитесь ни в одной комнате');
+    const error = submitNomination(room, nickname, data.target);
+    if (error) {
+        sendError(ws, 'ACTION_REJECTED', error);
+    }
+}
+
+function handleVote(ws, data) {
+    const nickname = connections.get(ws);
+    if (!nickname) {
+        sendError(ws, 'NOT_AUTHENTICATED');
         return;
     }
     
-    // Проверяем, есть ли место для бота
-    if (adminRoom.players.length >= adminRoom.maxPlayers) {
-        sendError(ws, 'Комната заполнена');
+    const room = rooms.get(data.roomId);
+    if (!room) {
+        sendError(ws, 'ROOM_NOT_FOUND');
         return;
     }
     
-    // Создаем бота
-    const botName = data.botName || `Bot_${Math.floor(Math.random() * 1000)}`;
-    const bot = {
-        nickname: botName,
-        isBot: true,
-        avatar: '🤖'
-    };
-    
-    // Добавляем бота в комнату
-    adminRoom.players.push(bot);
-    
-    // Уведомляем всех игроков в комнате о новом боте
-    broadcastToRoom(adminRoom.id, {
-        type: 'bot_added',
-        bot,
-        room: adminRoom
-    });
-    
-    // Обновляем список комнат для всех
-    broadcastRoomsList();
+    const error = submitVote(room, nickname, data.target);
+    if (error) {
+        sendError(ws, 'ACTION_REJECTED', error);
+        return;
+    }
     
-    console.log(`Администратор ${nickname} добавил бота ${botName} в комнату "${adminRoom.name}"`);
+    checkVoteComplete(room);
 }
 
-function handleAdminEndGame(ws, data) {
+function handleNightAction(ws, data) {
     const nickname = connections.get(ws);
-    if (!nickname || nickname !== 'Anubis') {
-        sendError(ws, 'У вас нет прав администратора');
+    if (!nickname) {
+        sendError(ws, 'NOT_AUTHENTICATED');
         return;
     }
     
-    // Находим комнату, в которой находится админ
-    let adminRoom = null;
-    for (const [roomId, room] of rooms.entries()) {
-        if (room.players.find(p => p.nickname === nickname)) {
-            adminRoom = room;
-            break;
-        }
+    const room = rooms.get(data.roomId);
+    if (!room) {
+        sendError(ws, 'ROOM_NOT_FOUND');
+        return;
     }
     
-    if (!adminRoom) {
-        sendError(ws, 'Вы не находитесь ни в одной комнате');
+    const targets = Array.isArray(data.targets) ? data.targets : [data.target];
+    const error = submitNightAction(room, nickname, data.ability, targets);
+    if (error) {
+        sendError(ws, 'ACTION_REJECTED', error);
         return;
     }
     
-    // Завершаем игру
-    adminRoom.status = 'waiting';
-    
-    // Уведомляем всех игроков в комнате
-    broadcastToRoom(adminRoom.id, {
-        type: 'game_ended',
-        admin: nickname
+    send(ws, {
+        type: 'night_action_accepted',
+        ability: data.ability,
+        target: targets[0],
+        targets
     });
     
-    // Обновляем список комнат для всех
-    broadcastRoomsList();
+    checkNightComplete(room);
+}
+
+// Права на каналы чата
+function getChatWriteError(game, player, channel) {
+    // В лобби доступен только общий чат
+    if (!game) {
+        return channel === 'public' ? null : 'Канал доступен только во время игры';
+    }
     
-    console.log(`Администратор ${nickname} завершил игру в комнате "${adminRoom.name}"`);
+    switch (channel) {
+        case 'public':
+            if (!player.alive) return 'Вы выбыли из игры';
+            if (game.phase !== 'day') return 'Говорить можно только во время обсуждения';
+            return null;
+        case 'mafia':
+            if (!player.alive || getRoleTeam(game.roles.get(player.nickname)) !== 'mafia') return 'Канал доступен только мафии';
+            if (game.phase !== 'night') return 'Мафия общается только ночью';
+            return null;
+        case 'dead':
+            return player.alive ? 'Канал доступен только выбывшим' : null;
+        case 'spectators':
+            return 'Канал доступен только зрителям';
+    }
 }
 
-function handleAdminKickPlayer(ws, data) {
+function canReadChannel(game, player, channel) {
+    if (!game) {
+        return channel === 'public';
+    }
+    
+    switch (channel) {
+        case 'public':
+            return true;
+        case 'mafia':
+            return player.alive && getRoleTeam(game.roles.get(player.nickname)) === 'mafia';
+        case 'dead':
+            return !player.alive;
+    }
+    return false;
+}
+
+// Зрители
+function handleSpectateRoom(ws, data) {
     const nickname = connections.get(ws);
-    if (!nickname || nickname !== 'Anubis') {
-        sendError(ws, 'У вас нет прав администратора');
+    if (!nickname) {
+        sendError(ws, 'NOT_AUTHENTICATED');
         return;
     }
     
-    const playerToKick = data.player;
-    if (!playerToKick) {
-        sendError(ws, 'Не указан игрок для кика');
+    const room = data.inviteCode
+        ? findRoomByInviteCode(data.inviteCode)
+        : rooms.get(data.roomId);
+    if (!room || (room.isPrivate && !data.inviteCode)) {
+        sendError(ws, data.inviteCode ? 'INVALID_INVITE_CODE' : 'ROOM_NOT_FOUND');
         return;
     }
     
-    // Находим комнату, в которой находится игрок
-    let playerRoom = null;
-    for (const [roomId, room] of rooms.entries()) {
-        if (room.players.find(p => p.nickname === playerToKick)) {
-            playerRoom = room;
-            break;
-        }
+    if (!room.settings.allowSpectators) {
+        sendError(ws, 'SPECTATORS_DISABLED');
+        return;
     }
     
-    if (!playerRoom) {
-        sendError(ws, 'Игрок не находится ни в одной комнате');
+    if (room.hasPassword && !checkPassword(roomPasswords.get(room.id), String(data.password || ''))) {
+        sendError(ws, 'WRONG_ROOM_PASSWORD');
         return;
     }
     
-    // Удаляем игрока из комнаты
-    const playerIndex = playerRoom.players.findIndex(p => p.nickname === playerToKick);
-    if (playerIndex !== -1) {
-        playerRoom.players.splice(playerIndex, 1);
+    // Участник игры не может одновременно за ней наблюдать
+    if (findActiveRoomId(nickname)) {
+        sendError(ws, 'ALREADY_IN_ROOM', 'Нельзя наблюдать, находясь в комнате');
+        return;
     }
     
-    // Уведомляем всех игроков в комнате
-    broadcastToRoom(playerRoom.id, {
-        type: 'player_kicked',
-        player: playerToKick,
-        admin: nickname,
-        reason: data.reason || 'Нарушение правил'
-    });
+    const fullReveal = data.fullReveal === true;
+    if (fullReveal && !room.settings.spectatorReveal) {
+        sendError(ws, 'FULL_REVEAL_DISABLED');
+        return;
+    }
     
-    // Отправляем сообщение кикнутому игроку
-    for (const [clientWs, clientNickname] of connections.entries()) {
-        if (clientNickname === playerToKick) {
-            send(clientWs, {
-                type: 'player_kicked',
-                player: playerToKick,
-                admin: nickname,
-                reason: data.reason || 'Нарушение правил'
-            });
-            break;
-        }
+    removeSpectator(nickname);
+    if (!spectators.has(room.id)) {
+        spectators.set(room.id, new Map());
     }
+    spectators.get(room.id).set(nickname, { fullReveal });
     
-    // Обновляем список комнат для всех
-    broadcastRoomsList();
+    const game = games.get(room.id);
+    send(ws, {
+        type: 'spectating',
+        room: getRoomView(room, null),
+        fullReveal,
+        revealDelay: fullReveal ? SPECTATOR_REVEAL_DELAY : 0,
+        game: game ? {
+            phase: game.phase,
+            day: game.day,
+            endsAt: new Date(game.phaseEndsAt).toISOString()
+        } : null,
+        chat: (chatHistory.get(room.id) || []).filter(entry => entry.channel === 'public' || entry.channel === 'spectators')
+    });
     
-    console.log(`Администратор ${nickname} кикнул игрока ${playerToKick} из комнаты "${playerRoom.name}"`);
+    // Роли идущей игры зритель полного обзора увидит с той же задержкой
+    if (fullReveal && game) {
+        scheduleSpectatorMessage(room.id, nickname, {
+            type: 'roles_revealed',
+            roles: Object.fromEntries(game.roles)
+        });
+    }
+    
+    console.log(`${nickname} наблюдает за комнатой "${room.name}"${fullReveal ? ' (полный обзор)' : ''}`);
 }
 
-function handleAdminBanPlayer(ws, data) {
+function handleStopSpectating(ws, data) {
     const nickname = connections.get(ws);
-    if (!nickname || nickname !== 'Anubis') {
-        sendError(ws, 'У вас нет прав администратора');
+    if (!nickname) {
+        sendError(ws, 'NOT_AUTHENTICATED');
         return;
     }
     
-    const playerToBan = data.player;
-    if (!playerToBan) {
-        sendError(ws, 'Не указан игрок для бана');
+    if (!removeSpectator(nickname)) {
+        sendError(ws, 'NOT_SPECTATING');
         return;
     }
     
-    // Находим комнату, в которой находится игрок
-    let playerRoom = null;
-    for (const [roomId, room] of rooms.entries()) {
-        if (room.players.find(p => p.nickname === playerToBan)) {
-            playerRoom = room;
-            break;
+    send(ws, { type: 'spectating_stopped' });
+}
+
+function getSpectators(roomId) {
+    return spectators.get(roomId) || new Map();
+}
+
+function isSpectating(roomId, nickname) {
+    return getSpectators(roomId).has(nickname);
+}
+
+function findSpectatedRoom(nickname) {
+    for (const [roomId, roomSpectators] of spectators.entries()) {
+        if (roomSpectators.has(nickname)) {
+            return rooms.get(roomId) || null;
         }
     }
-    
-    // Удаляем игрока из комнаты, если он в ней находится
-    if (playerRoom) {
-        const playerIndex = playerRoom.players.findIndex(p => p.nickname === playerToBan);
-        if (playerIndex !== -1) {
-            playerRoom.players.splice(playerIndex, 1);
+    return null;
+}
+
+function removeSpectator(nickname) {
+    for (const [roomId, roomSpectators] of spectators.entries()) {
+        if (roomSpectators.delete(nickname)) {
+            if (roomSpectators.size === 0) {
+                spectators.delete(roomId);
+            }
+            return true;
         }
     }
+    return false;
+}
+
+// Зрители полного обзора получают всё с задержкой, остальные — только открытые события сразу
+function sendToSpectators(roomId, data, revealOnly = false) {
+    for (const [nickname, spectator] of getSpectators(roomId).entries()) {
+        if (spectator.fullReveal) {
+            scheduleSpectatorMessage(roomId, nickname, data);
+        } else if (!revealOnly) {
+            sendToPlayer(nickname, data);
+        }
+    }
+}
+
+function scheduleSpectatorMessage(roomId, nickname, data) {
+    setTimeout(() => {
+        if (isSpectating(roomId, nickname)) {
+            sendToPlayer(nickname, data);
+        }
+    }, SPECTATOR_REVEAL_DELAY * 1000);
+}
+
+// Управление комнатой хозяином
+function handleHostKick(ws, data) {
+    const nickname = connections.get(ws);
+    if (!nickname) {
+        sendError(ws, 'NOT_AUTHENTICATED');
+        return;
+    }
     
-    // Баним игрока
-    const duration = parseInt(data.duration) || 0;
-    const until = duration > 0 ? Date.now() + duration * 60 * 60 * 1000 : 0;
-    
-    bannedUsers.set(playerToBan, {
-        until,
-        reason: data.reason || 'Нарушение правил'
-    });
+    const room = findPlayerRoom(nickname);
+    if (!room || !hasPermission(nickname, 'kick_player', room)) {
+        sendError(ws, 'NOT_HOST');
+        return;
+    }
     
-    // Уведомляем всех игроков
-    broadcast({
-        type: 'player_banned',
-        player: playerToBan,
-        admin: nickname,
-        reason: data.reason || 'Нарушение правил',
-        duration
-    });
+    if (room.status !== 'waiting') {
+        sendError(ws, 'GAME_ALREADY_STARTED', 'Исключать игроков можно только до начала игры');
+        return;
+    }
     
-    // Отключаем забаненного игрока
-    for (const [clientWs, clientNickname] of connections.entries()) {
-        if (clientNickname === playerToBan) {
-            send(clientWs, {
-                type: 'player_banned',
-                player: playerToBan,
-                admin: nickname,
-                reason: data.reason || 'Нарушение правил',
-                duration
-            });
-            clientWs.close();
-            break;
-        }
+    const playerIndex = room.players.findIndex(p => p.nickname === data.player);
+    if (playerIndex === -1 || data.player === nickname) {
+        sendError(ws, 'INVALID_TARGET', 'Нельзя исключить этого игрока');
+        return;
     }
     
+    removePlayerFromRoom(room, data.player);
+    room.kicked.push(data.player);
+    bots.delete(data.player);
+    
+    const message = {
+        type: 'player_kicked',
+        player: data.player,
+        host: nickname,
+        reason: data.reason || 'Исключён хозяином комнаты'
+    };
+    broadcastToRoom(room.id, message);
+    sendToPlayer(data.player, message);
+    
     // Обновляем список комнат для всех
     broadcastRoomsList();
     
-    console.log(`Администратор ${nickname} забанил игрока ${playerToBan} на ${duration > 0 ? duration + ' часов' : 'навсегда'}`);
+    console.log(`Хозяин ${nickname} исключил ${data.player} из комнаты "${room.name}"`);
 }
 
-// Вспомогательные функции
-function checkGameStart(room) {
-    if (room.status !== 'waiting') return;
+function handleHostLock(ws, data) {
+    const nickname = connections.get(ws);
+    if (!nickname) {
+        sendError(ws, 'NOT_AUTHENTICATED');
+        return;
+    }
     
-    if (room.players.length >= room.minPlayers) {
-        // Автоматически начинаем игру, когда достигнуто минимальное количество игроков
-        startGame(room);
+    const room = findPlayerRoom(nickname);
+    if (!room || !hasPermission(nickname, 'lock_room', room)) {
+        sendError(ws, 'NOT_HOST');
+        return;
     }
-}
-
-function startGame(room) {
-    room.status = 'playing';
     
-    // Распределяем роли
-    const roles = assignRoles(room.players, room.roles);
+    room.locked = data.locked !== false;
     
-    // Уведомляем игроков о начале игры
-    broadcastToRoom(room.id, {
-        type: 'game_started',
-        room
+    broadcastRoomState(room, {
+        type: 'room_updated'
     });
     
-    // Отправляем каждому игроку его роль
-    for (const player of room.players) {
-        const role = roles.get(player.nickname);
-        if (role) {
-            for (const [clientWs, clientNickname] of connections.entries()) {
-                if (clientNickname === player.nickname) {
-                    send(clientWs, {
-                        type: 'role_assigned',
-                        role
-                    });
-                    break;
-                }
-            }
-        }
-    }
-    
     // Обновляем список комнат для всех
     broadcastRoomsList();
     
-    console.log(`Игра началась в комнате "${room.name}"`);
+    console.log(`Хозяин ${nickname} ${room.locked ? 'закрыл' : 'открыл'} комнату "${room.name}"`);
 }
 
-function assignRoles(players, availableRoles) {
-    const roles = new Map(); // nickname -> role
-    const playerCount = players.length;
+function handleHostTransfer(ws, data) {
+    const nickname = connections.get(ws);
+    if (!nickname) {
+        sendError(ws, 'NOT_AUTHENTICATED');
+        return;
+    }
     
-    // Определяем количество каждой роли
-    let mafiaCount = Math.max(1, Math.floor(playerCount / 4));
-    let sheriffCount = 1;
-    let doctorCount = availableRoles.includes('doctor') ? 1 : 0;
-    let maniacCount = availableRoles.includes('maniac') ? 1 : 0;
-    let loverCount = availableRoles.includes('lover') ? 2 : 0;
+    const room = findPlayerRoom(nickname);
+    if (!room || !hasPermission(nickname, 'transfer_host', room)) {
+        sendError(ws, 'NOT_HOST');
+        return;
+    }
     
-    // Убеждаемся, что у нас достаточно игроков для всех ролей
-    const specialRolesCount = mafiaCount + sheriffCount + doctorCount + maniacCount + loverCount;
-    if (specialRolesCount > playerCount) {
-        // Корректируем количество ролей
-        loverCount = 0;
-        if (specialRolesCount - 2 > playerCount) {
-            maniacCount = 0;
-            if (specialRolesCount - 3 > playerCount) {
-                doctorCount = 0;
-                if (specialRolesCount - 4 > playerCount) {
-                    mafiaCount = 1;
-                }
-            }
-        }
+    const newHost = room.players.find(p => p.nickname === data.player);
+    if (!newHost || newHost.isBot || newHost.nickname === room.host) {
+        sendError(ws, 'INVALID_TARGET', 'Нельзя передать права этому игроку');
+        return;
     }
     
-    // Создаем массив ролей
-    const roleArray = [];
-    for (let i = 0; i < mafiaCount; i++) roleArray.push('mafia');
-    for (let i = 0; i < sheriffCount; i++) roleArray.push('sheriff');
-    for (let i = 0; i < doctorCount; i++) roleArray.push('doctor');
-    for (let i = 0; i < maniacCount; i++) roleArray.push('maniac');
-    for (let i = 0; i < loverCount; i++) roleArray.push('lover');
+    setHost(room, newHost.nickname);
     
-    // Добавляем мирных жителей
-    const civilianCount = playerCount - roleArray.length;
-    for (let i = 0; i < civilianCount; i++) roleArray.push('civilian');
+    console.log(`Хозяин ${nickname} передал комнату "${room.name}" игроку ${newHost.nickname}`);
+}
+
+function handleHostUpdateRoom(ws, data) {
+    const nickname = connections.get(ws);
+    if (!nickname) {
+        sendError(ws, 'NOT_AUTHENTICATED');
+        return;
+    }
     
-    // Перемешиваем роли
-    for (let i = roleArray.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
-        [roleArray[i], roleArray[j]] = [roleArray[j], roleArray[i]];
+    const room = findPlayerRoom(nickname);
+    if (!room || !hasPermission(nickname, 'update_room', room)) {
+        sendError(ws, 'NOT_HOST');
+        return;
     }
     
-    // Назначаем роли игрокам
-    players.forEach((player, index) => {
-        roles.set(player.nickname, roleArray[index]);
+    if (room.status !== 'waiting') {
+        sendError(ws, 'GAME_ALREADY_STARTED', 'Настройки можно менять только до начала игры');
+        return;
+    }
+    
+    // Неуказанные поля сохраняют текущие значения. Если меняется число игроков
+    // или состав, выбранный ранее пресет больше не применяется
+    const current = {
+        minPlayers: room.minPlayers,
+        maxPlayers: room.maxPlayers,
+        roles: room.roles,
+        composition: room.composition,
+        preset: room.preset,
+        ...room.settings
+    };
+    if (data.minPlayers !== undefined || data.maxPlayers !== undefined || data.composition !== undefined) {
+        current.preset = null;
+    }
+    const changes = Object.fromEntries(Object.entries(data).filter(([key, value]) => key !== 'type' && value !== undefined));
+    
+    const { config, error } = buildRoomConfig({ ...current, ...changes });
+    if (error) {
+        sendError(ws, 'INVALID_ROOM_SETTINGS', error);
+        return;
+    }
+    
+    if (config.maxPlayers < room.players.length) {
+        sendError(ws, 'INVALID_ROOM_SETTINGS', 'В комнате уже больше игроков');
+        return;
+    }
+    
+    Object.assign(room, config);
+    
+    broadcastRoomState(room, {
+        type: 'room_updated'
     });
     
-    return roles;
+    checkGameStart(room);
+    
+    // Обновляем список комнат для всех
+    broadcastRoomsList();
+    
+    console.log(`Хозяин ${nickname} изменил настройки комнаты "${room.name}"`);
 }
 
-function send(ws, data) {
-    if (ws.readyState === WebSocket.OPEN) {
-        ws.send(JSON.stringify(data));
+function handleHostStart(ws, data) {
+    const nickname = connections.get(ws);
+    if (!nickname) {
+        sendError(ws, 'NOT_AUTHENTICATED');
+        return;
+    }
+    
+    const room = findPlayerRoom(nickname);
+    if (!room || !hasPermission(nickname, 'start_game', room)) {
+        sendError(ws, 'NOT_HOST');
+        return;
     }
+    
+    if (room.status !== 'waiting') {
+        sendError(ws, 'GAME_ALREADY_STARTED');
+        return;
+    }
+    
+    if (room.players.length < room.minPlayers) {
+        sendError(ws, 'NOT_ENOUGH_PLAYERS');
+        return;
+    }
+    
+    startGame(room);
+    
+    console.log(`Хозяин ${nickname} запустил игру в комнате "${room.name}"`);
 }
 
-function sendError(ws, message) {
-    send(ws, {
-        type: 'error',
-        message
+function setHost(room, nickname) {
+    room.host = nickname;
+    
+    broadcastRoomState(room, {
+        type: 'host_changed',
+        host: nickname
     });
 }
 
-function broadcast(data) {
-    wss.clients.forEach(client => {
-        if (client.readyState === WebSocket.OPEN) {
-            client.send(JSON.stringify(data));
-        }
+// Если хозяин ушёл, права переходят к первому оставшемуся игроку
+function reassignHost(room) {
+    if (room.players.some(p => p.nickname === room.host)) return;
+    
+    const newHost = room.players.find(p => !p.isBot);
+    if (newHost) {
+        setHost(room, newHost.nickname);
+        console.log(`Комната "${room.name}" перешла к игроку ${newHost.nickname}`);
+    }
+}
+
+// Админ функции
+function handleAdminForceStart(ws, data) {
+    const nickname = connections.get(ws);
+    if (!nickname) {
+        sendError(ws, 'NOT_AUTHENTICATED');
+        return;
+    }
+    
+    // Находим комнату, в которой находится админ
+    const adminRoom = findPlayerRoom(nickname);
+    
+    if (!adminRoom) {
+        sendError(ws, 'NOT_IN_ROOM', 'Вы не находитесь ни в одной комнате');
+        return;
+    }
+    
+    if (!hasPermission(nickname, 'force_start', adminRoom)) {
+        sendError(ws, 'FORBIDDEN');
+        return;
+    }
+    
+    if (adminRoom.composition && adminRoom.players.length < countRoles(adminRoom.composition)) {
+        sendError(ws, 'NOT_ENOUGH_PLAYERS', 'Недостаточно игроков для выбранного состава ролей');
+        return;
+    }
+    
+    // Запускаем игру
+    startGame(adminRoom);
+    
+    broadcastToRoom(adminRoom.id, {
+        type: 'game_force_started',
+        admin: nickname
+    });
+    
+    recordAudit('force_start', nickname, { roomId: adminRoom.id });
+    console.log(`Администратор ${nickname} принудительно запустил игру в комнате "${adminRoom.name}"`);
+}
+
+function handleAdminAddBot(ws, data) {
+    const nickname = connections.get(ws);
+    if (!nickname) {
+        sendError(ws, 'NOT_AUTHENTICATED');
+        return;
+    }
+    
+    // Находим комнату, в которой находится админ
+    const adminRoom = findPlayerRoom(nickname);
+    
+    if (!adminRoom) {
+        sendError(ws, 'NOT_IN_ROOM', 'Вы не находитесь ни в одной комнате');
+        return;
+    }
+    
+    if (!hasPermission(nickname, 'add_bot', adminRoom)) {
+        sendError(ws, 'FORBIDDEN');
+        return;
+    }
+    
+    // Проверяем, есть ли место для бота
+    if (adminRoom.players.length >= adminRoom.maxPlayers) {
+        sendError(ws, 'ROOM_FULL');
+        return;
+    }
+    
+    const difficulty = data.difficulty || 'normal';
+    
+    // Создаем бота
+    const botName = data.botName || `Bot_${Math.floor(Math.random() * 1000)}`;
+    if (adminRoom.players.find(p => p.nickname === botName) || users.has(botName) || bots.has(botName)) {
+        sendError(ws, 'NICKNAME_TAKEN', 'Имя бота уже занято');
+        return;
+    }
+    
+    const bot = {
+        nickname: botName,
+        isBot: true,
+        avatar: '🤖',
+        difficulty
+    };
+    
+    // Добавляем бота в комнату
+    addPlayerToRoom(adminRoom, bot);
+    bots.set(botName, {
+        roomId: adminRoom.id,
+        difficulty,
+        memory: botBrain.createBotMemory()
+    });
+    
+    // Уведомляем всех игроков в комнате о новом боте
+    broadcastRoomState(adminRoom, {
+        type: 'bot_added',
+        bot: buildPlayerView(bot)
+    });
+    
+    // Обновляем список комнат для всех
+    broadcastRoomsList();
+    
+    recordAudit('add_bot', nickname, { target: botName, roomId: adminRoom.id, details: { difficulty } });
+    console.log(`Администратор ${nickname} добавил бота ${botName} в комнату "${adminRoom.name}"`);
+}
+
+function handleAdminEndGame(ws, data) {
+    const nickname = connections.get(ws);
+    if (!nickname) {
+        sendError(ws, 'NOT_AUTHENTICATED');
+        return;
+    }
+    
+    // Находим комнату, в которой находится админ
+    const adminRoom = findPlayerRoom(nickname);
+    
+    if (!adminRoom) {
+        sendError(ws, 'NOT_IN_ROOM', 'Вы не находитесь ни в одной комнате');
+        return;
+    }
+    
+    if (!hasPermission(nickname, 'end_game', adminRoom)) {
+        sendError(ws, 'FORBIDDEN');
+        return;
+    }
+    
+    // Завершаем игру; журнал сохраняем, чтобы можно было разобрать прерванную партию
+    const game = games.get(adminRoom.id);
+    if (game) {
+        recordEvent(game, 'game_ended', { admin: nickname });
+        saveReplay(adminRoom, game, 'ended');
+    }
+    stopGame(adminRoom);
+    resetPlayers(adminRoom);
+    adminRoom.status = 'waiting';
+    
+    // Уведомляем всех игроков в комнате
+    broadcastToRoom(adminRoom.id, {
+        type: 'game_ended',
+        admin: nickname
+    });
+    
+    // Обновляем список комнат для всех
+    broadcastRoomsList();
+    
+    recordAudit('end_game', nickname, { roomId: adminRoom.id });
+    console.log(`Администратор ${nickname} завершил игру в комнате "${adminRoom.name}"`);
+}
+
+function handleAdminKickPlayer(ws, data) {
+    const nickname = connections.get(ws);
+    if (!nickname) {
+        sendError(ws, 'NOT_AUTHENTICATED');
+        return;
+    }
+    
+    const playerToKick = data.player;
+    
+    // Находим комнату, в которой находится игрок
+    const playerRoom = findPlayerRoom(playerToKick);
+    
+    if (!playerRoom) {
+        sendError(ws, 'TARGET_NOT_IN_ROOM');
+        return;
+    }
+    
+    if (!hasPermission(nickname, 'kick_player', playerRoom)) {
+        sendError(ws, 'FORBIDDEN');
+        return;
+    }
+    
+    // Удаляем игрока из комнаты
+    removePlayerFromRoom(playerRoom, playerToKick);
+    
+    // Уведомляем всех игроков в комнате
+    broadcastToRoom(playerRoom.id, {
+        type: 'player_kicked',
+        player: playerToKick,
+        admin: nickname,
+        reason: data.reason || 'Нарушение правил'
+    });
+    
+    // Отправляем сообщение кикнутому игроку
+    sendToPlayer(playerToKick, {
+        type: 'player_kicked',
+        player: playerToKick,
+        admin: nickname,
+        reason: data.reason || 'Нарушение правил'
+    });
+    
+    bots.delete(playerToKick);
+    
+    // Если в комнате не осталось людей, удаляем её
+    if (playerRoom.players.every(p => p.isBot)) {
+        deleteRoom(playerRoom);
+    } else {
+        reassignHost(playerRoom);
+        onPlayerRemoved(playerRoom, playerToKick);
+    }
+    
+    // Обновляем список комнат для всех
+    broadcastRoomsList();
+    
+    recordAudit('kick', nickname, { target: playerToKick, roomId: playerRoom.id, reason: data.reason });
+    console.log(`Администратор ${nickname} кикнул игрока ${playerToKick} из комнаты "${playerRoom.name}"`);
+}
+
+function handleAdminBanPlayer(ws, data) {
+    const nickname = connections.get(ws);
+    if (!nickname) {
+        sendError(ws, 'NOT_AUTHENTICATED');
+        return;
+    }
+    
+    if (!hasPermission(nickname, 'ban_player')) {
+        sendError(ws, 'FORBIDDEN');
+        return;
+    }
+    
+    banPlayer(data.player, {
+        admin: nickname,
+        duration: data.duration,
+        reason: data.reason
+    });
+}
+
+function handleAdminUnban(ws, data) {
+    const nickname = connections.get(ws);
+    if (!nickname) {
+        sendError(ws, 'NOT_AUTHENTICATED');
+        return;
+    }
+    
+    if (!hasPermission(nickname, 'ban_player')) {
+        sendError(ws, 'FORBIDDEN');
+        return;
+    }
+    
+    if (!unbanPlayer(data.player, nickname)) {
+        sendError(ws, 'NOT_BANNED');
+        return;
+    }
+    
+    send(ws, {
+        type: 'player_unbanned',
+        player: data.player,
+        admin: nickname
+    });
+}
+
+function handleAdminListBans(ws, data) {
+    const nickname = connections.get(ws);
+    if (!nickname) {
+        sendError(ws, 'NOT_AUTHENTICATED');
+        return;
+    }
+    
+    if (!hasPermission(nickname, 'ban_player')) {
+        sendError(ws, 'FORBIDDEN');
+        return;
+    }
+    
+    send(ws, {
+        type: 'bans_list',
+        bans: listActiveBans()
+    });
+}
+
+// Баним игрока: убираем из комнаты, сохраняем бан и отключаем
+function banPlayer(playerToBan, { admin, duration: hours, reason = 'Нарушение правил' }) {
+    const duration = parseInt(hours) || 0;
+    const banInfo = {
+        until: duration > 0 ? Date.now() + duration * 60 * 60 * 1000 : 0,
+        reason,
+        bannedBy: admin,
+        createdAt: new Date().toISOString()
+    };
+    bannedUsers.set(playerToBan, banInfo);
+    persist(storage.saveBan(playerToBan, banInfo));
+    publishCluster({ kind: 'ban', nickname: playerToBan, banInfo });
+    
+    // Уведомляем всех игроков
+    broadcast({
+        type: 'player_banned',
+        player: playerToBan,
+        admin,
+        reason,
+        duration
+    });
+    
+    removeBannedPlayer(playerToBan);
+    
+    recordAudit('ban', admin, { target: playerToBan, reason, details: { duration } });
+    console.log(`Администратор ${admin} забанил игрока ${playerToBan} на ${duration > 0 ? duration + ' часов' : 'навсегда'}`);
+    return banInfo;
+}
+
+// Убираем забаненного из комнаты этого экземпляра и отключаем, если он подключён здесь
+function removeBannedPlayer(nickname) {
+    const playerRoom = findPlayerRoom(nickname);
+    if (playerRoom) {
+        removePlayerFromRoom(playerRoom, nickname);
+        if (playerRoom.players.every(p => p.isBot)) {
+            deleteRoom(playerRoom);
+        } else {
+            reassignHost(playerRoom);
+            onPlayerRemoved(playerRoom, nickname);
+        }
+    }
+    
+    for (const clientWs of Array.from(getSockets(nickname))) {
+        clientWs.close();
+    }
+    
+    // Обновляем список комнат для всех
+    broadcastRoomsList();
+}
+
+function unbanPlayer(nickname, admin) {
+    if (!getActiveBan(nickname)) return false;
+    
+    bannedUsers.delete(nickname);
+    persist(storage.deleteBan(nickname));
+    publishCluster({ kind: 'unban', nickname });
+    
+    recordAudit('unban', admin, { target: nickname });
+    console.log(`Администратор ${admin} снял бан с игрока ${nickname}`);
+    return true;
+}
+
+// Истёкшие баны getActiveBan удаляет по пути
+function listActiveBans() {
+    const bans = [];
+    for (const nickname of Array.from(bannedUsers.keys())) {
+        const banInfo = getActiveBan(nickname);
+        if (banInfo) {
+            bans.push({ nickname, ...banInfo });
+        }
+    }
+    return bans;
+}
+
+// Мягкие меры: мут, предупреждение, медленный режим
+function handleAdminMute(ws, data) {
+    const nickname = connections.get(ws);
+    if (!nickname) {
+        sendError(ws, 'NOT_AUTHENTICATED');
+        return;
+    }
+    
+    // Мут в комнате может выдать и хозяин, глобальный — только модератор
+    const room = data.scope === 'room' ? findPlayerRoom(data.player) : null;
+    if (data.scope === 'room' && !room) {
+        sendError(ws, 'TARGET_NOT_IN_ROOM');
+        return;
+    }
+    if (!hasPermission(nickname, 'mute_player', room)) {
+        sendError(ws, 'FORBIDDEN');
+        return;
+    }
+    
+    const duration = data.duration || 0;
+    const muteInfo = {
+        until: duration > 0 ? Date.now() + duration * 60 * 1000 : 0,
+        reason: data.reason || 'Нарушение правил чата',
+        mutedBy: nickname
+    };
+    if (room) {
+        if (!roomMutes.has(room.id)) {
+            roomMutes.set(room.id, new Map());
+        }
+        roomMutes.get(room.id).set(data.player, muteInfo);
+    } else {
+        mutedUsers.set(data.player, muteInfo);
+        persist(storage.saveMute(data.player, muteInfo));
+        publishCluster({ kind: 'mute', nickname: data.player, muteInfo });
+    }
+    
+    const message = {
+        type: 'player_muted',
+        player: data.player,
+        admin: nickname,
+        roomId: room ? room.id : null,
+        until: muteInfo.until,
+        reason: muteInfo.reason
+    };
+    send(ws, message);
+    sendToPlayer(data.player, message);
+    
+    recordAudit('mute', nickname, { target: data.player, roomId: room ? room.id : null, reason: muteInfo.reason, details: { duration } });
+    console.log(`${nickname} выдал мут игроку ${data.player}${room ? ` в комнате "${room.name}"` : ''} на ${duration > 0 ? duration + ' минут' : 'неограниченный срок'}`);
+}
+
+function handleAdminUnmute(ws, data) {
+    const nickname = connections.get(ws);
+    if (!nickname) {
+        sendError(ws, 'NOT_AUTHENTICATED');
+        return;
+    }
+    
+    // Без комнаты снятие мута в комнате не должно снимать глобальный мут
+    const room = data.scope === 'room' ? findPlayerRoom(data.player) : null;
+    if (data.scope === 'room' && !room) {
+        sendError(ws, 'TARGET_NOT_IN_ROOM');
+        return;
+    }
+    if (!hasPermission(nickname, 'mute_player', room)) {
+        sendError(ws, 'FORBIDDEN');
+        return;
+    }
+    
+    const removed = room
+        ? Boolean(roomMutes.get(room.id) && roomMutes.get(room.id).delete(data.player))
+        : mutedUsers.delete(data.player);
+    if (!removed) {
+        sendError(ws, 'NOT_MUTED');
+        return;
+    }
+    if (!room) {
+        persist(storage.deleteMute(data.player));
+        publishCluster({ kind: 'unmute', nickname: data.player });
+    }
+    
+    const message = {
+        type: 'player_unmuted',
+        player: data.player,
+        admin: nickname,
+        roomId: room ? room.id : null
+    };
+    send(ws, message);
+    sendToPlayer(data.player, message);
+    
+    recordAudit('unmute', nickname, { target: data.player, roomId: room ? room.id : null });
+    console.log(`${nickname} снял мут с игрока ${data.player}`);
+}
+
+function handleAdminWarn(ws, data) {
+    const nickname = connections.get(ws);
+    if (!nickname) {
+        sendError(ws, 'NOT_AUTHENTICATED');
+        return;
+    }
+    
+    if (!hasPermission(nickname, 'warn_player')) {
+        sendError(ws, 'FORBIDDEN');
+        return;
+    }
+    
+    if (!users.has(data.player) && !accounts.has(data.player)) {
+        sendError(ws, 'INVALID_TARGET', 'Игрок не найден');
+        return;
+    }
+    
+    sendToPlayer(data.player, {
+        type: 'player_warned',
+        player: data.player,
+        admin: nickname,
+        reason: data.reason
+    });
+    send(ws, {
+        type: 'warning_sent',
+        player: data.player
+    });
+    
+    recordAudit('warn', nickname, { target: data.player, reason: data.reason });
+    console.log(`${nickname} вынес предупреждение игроку ${data.player}: ${data.reason}`);
+}
+
+function handleAdminSlowMode(ws, data) {
+    const nickname = connections.get(ws);
+    if (!nickname) {
+        sendError(ws, 'NOT_AUTHENTICATED');
+        return;
+    }
+    
+    // Модератор может указать комнату явно, хозяин управляет своей
+    const room = data.roomId ? rooms.get(data.roomId) : findPlayerRoom(nickname);
+    if (!room) {
+        sendError(ws, 'ROOM_NOT_FOUND');
+        return;
+    }
+    
+    if (!hasPermission(nickname, 'slow_mode', room)) {
+        sendError(ws, 'FORBIDDEN');
+        return;
+    }
+    
+    room.settings.slowMode = data.interval;
+    
+    broadcastRoomState(room, {
+        type: 'room_updated'
+    });
+    
+    recordAudit('slow_mode', nickname, { roomId: room.id, details: { interval: data.interval } });
+    console.log(`${nickname} ${data.interval > 0 ? `включил медленный режим (${data.interval} с)` : 'выключил медленный режим'} в комнате "${room.name}"`);
+}
+
+// Журнал действий модераторов
+function handleAdminAuditLog(ws, data) {
+    const nickname = connections.get(ws);
+    if (!nickname) {
+        sendError(ws, 'NOT_AUTHENTICATED');
+        return;
+    }
+    
+    if (!hasPermission(nickname, 'view_audit')) {
+        sendError(ws, 'FORBIDDEN');
+        return;
+    }
+    
+    const { limit, page, offset } = parsePagination(data);
+    storage.listAuditLog({ admin: data.admin, target: data.target, action: data.action, limit, offset })
+        .then(({ total, entries }) => send(ws, {
+            type: 'audit_log',
+            page,
+            limit,
+            total,
+            entries
+        }))
+        .catch(error => {
+            console.error('Ошибка загрузки журнала действий:', error);
+            sendError(ws, 'INTERNAL_ERROR');
+        });
+}
+
+function recordAudit(action, admin, { target = null, roomId = null, reason = null, details = {} } = {}) {
+    persist(storage.saveAuditEntry({
+        id: uuidv4(),
+        action,
+        admin,
+        target,
+        roomId,
+        reason: reason || null,
+        details,
+        at: new Date().toISOString()
+    }));
+}
+
+// Жалобы игроков
+function handleReportPlayer(ws, data) {
+    const nickname = connections.get(ws);
+    if (!nickname) {
+        sendError(ws, 'NOT_AUTHENTICATED');
+        return;
+    }
+    
+    if (data.player === nickname || bots.has(data.player) || (!users.has(data.player) && !accounts.has(data.player))) {
+        sendError(ws, 'INVALID_TARGET', 'На этого игрока нельзя пожаловаться');
+        return;
+    }
+    
+    const room = findPlayerRoom(nickname) || findSpectatedRoom(nickname);
+    const game = room && games.get(room.id);
+    const report = {
+        id: uuidv4(),
+        reporter: nickname,
+        target: data.player,
+        reason: data.reason,
+        roomId: room ? room.id : null,
+        gameId: game ? game.id : null,
+        // Последние сообщения, которые видел автор жалобы
+        chat: room ? getVisibleChat(room, nickname).slice(-REPORT_CHAT_CONTEXT) : [],
+        status: 'open',
+        createdAt: new Date().toISOString()
+    };
+    persist(storage.saveReport(report));
+    
+    send(ws, {
+        type: 'report_submitted',
+        reportId: report.id
+    });
+    
+    notifyReviewers({
+        type: 'report_created',
+        report
+    });
+    
+    console.log(`${nickname} пожаловался на ${data.player}: ${data.reason}`);
+}
+
+function handleAdminListReports(ws, data) {
+    const nickname = connections.get(ws);
+    if (!nickname) {
+        sendError(ws, 'NOT_AUTHENTICATED');
+        return;
+    }
+    
+    if (!hasPermission(nickname, 'review_reports')) {
+        sendError(ws, 'FORBIDDEN');
+        return;
+    }
+    
+    const { limit, page, offset } = parsePagination(data);
+    storage.listReports({ status: data.status, limit, offset })
+        .then(({ total, reports }) => send(ws, {
+            type: 'reports_list',
+            page,
+            limit,
+            total,
+            reports
+        }))
+        .catch(error => {
+            console.error('Ошибка загрузки жалоб:', error);
+            sendError(ws, 'INTERNAL_ERROR');
+        });
+}
+
+function handleAdminResolveReport(ws, data) {
+    const nickname = connections.get(ws);
+    if (!nickname) {
+        sendError(ws, 'NOT_AUTHENTICATED');
+        return;
+    }
+    
+    if (!hasPermission(nickname, 'review_reports') || (data.action === 'ban' && !hasPermission(nickname, 'ban_player'))) {
+        sendError(ws, 'FORBIDDEN');
+        return;
+    }
+    
+    resolveReport(data.reportId, data.action, nickname, data)
+        .then(({ code, report }) => {
+            if (code) {
+                sendError(ws, code);
+            }
+        })
+        .catch(error => {
+            console.error('Ошибка обработки жалобы:', error);
+            sendError(ws, 'INTERNAL_ERROR');
+        });
+}
+
+// Закрываем жалобу: dismiss — отклонить, resolve — принять без бана, ban — забанить нарушителя
+async function resolveReport(reportId, action, admin, { duration, reason, note } = {}) {
+    const report = await storage.getReport(reportId);
+    if (!report) {
+        return { code: 'REPORT_NOT_FOUND' };
+    }
+    if (report.status !== 'open') {
+        return { code: 'REPORT_CLOSED' };
+    }
+    
+    if (action === 'ban') {
+        banPlayer(report.target, {
+            admin,
+            duration,
+            reason: reason || report.reason
+        });
+    }
+    
+    report.status = action === 'dismiss' ? 'dismissed' : 'resolved';
+    report.resolution = { action, note: note || null };
+    report.resolvedBy = admin;
+    report.resolvedAt = new Date().toISOString();
+    await storage.saveReport(report);
+    
+    notifyReviewers({
+        type: 'report_updated',
+        report
+    });
+    
+    recordAudit('resolve_report', admin, { target: report.target, reason: note, details: { reportId, action } });
+    console.log(`${admin} закрыл жалобу на ${report.target}: ${action}`);
+    return { report };
+}
+
+// Новые и закрытые жалобы видят все модераторы в сети
+function notifyReviewers(data) {
+    for (const [clientWs, clientNickname] of connections.entries()) {
+        if (hasPermission(clientNickname, 'review_reports')) {
+            send(clientWs, data);
+        }
+    }
+}
+
+function getVisibleChat(room, nickname) {
+    const history = chatHistory.get(room.id) || [];
+    const player = room.players.find(p => p.nickname === nickname);
+    if (!player) {
+        return history.filter(entry => entry.channel === 'public' || entry.channel === 'spectators');
+    }
+    return history.filter(entry => canReadChannel(games.get(room.id), player, entry.channel));
+}
+
+// Подбор игроков
+function handleJoinQueue(ws, data) {
+    const nickname = connections.get(ws);
+    if (!nickname) {
+        sendError(ws, 'NOT_AUTHENTICATED');
+        return;
+    }
+    
+    const activeRoomId = findActiveRoomId(nickname);
+    if (activeRoomId) {
+        sendError(ws, 'IN_ANOTHER_ROOM', undefined, { roomId: activeRoomId });
+        return;
+    }
+    
+    if (queueEntries.has(nickname)) {
+        sendError(ws, 'ALREADY_QUEUED');
+        return;
+    }
+    
+    // Размер стола пресета фиксирован; без пресета роли подбираются по числу игроков
+    const preset = data.preset && Object.hasOwn(ROLE_PRESETS, data.preset) ? ROLE_PRESETS[data.preset] : null;
+    if (data.preset && !preset) {
+        sendError(ws, 'INVALID_QUEUE_PREFERENCES', 'Неизвестный пресет ролей');
+        return;
+    }
+    const players = preset ? preset.minPlayers : data.players || DEFAULT_QUEUE_PLAYERS;
+    if (preset && data.players !== undefined && data.players !== players) {
+        sendError(ws, 'INVALID_QUEUE_PREFERENCES', `Пресет рассчитан на ${players} игроков`);
+        return;
+    }
+    
+    storage.getStats(nickname)
+        .then(stats => {
+            // Пока загружался рейтинг, игрок мог отключиться, встать в очередь повторно или сесть за стол
+            if (connections.get(ws) !== nickname || queueEntries.has(nickname)) return;
+            const roomId = findActiveRoomId(nickname);
+            if (roomId) {
+                sendError(ws, 'IN_ANOTHER_ROOM', undefined, { roomId });
+                return;
+            }
+            
+            const entry = {
+                ws,
+                nickname,
+                key: matchmaking.getQueueKey({ players, preset: data.preset }),
+                players,
+                preset: data.preset || null,
+                rating: stats ? stats.rating : INITIAL_RATING,
+                ratingBand: data.ratingBand,
+                joinedAt: Date.now(),
+                matchId: null
+            };
+            queueEntries.set(nickname, entry);
+            if (!matchQueues.has(entry.key)) {
+                matchQueues.set(entry.key, []);
+            }
+            matchQueues.get(entry.key).push(entry);
+            
+            console.log(`Игрок ${nickname} встал в очередь подбора (${players} игроков${entry.preset ? `, ${entry.preset}` : ''})`);
+            tryMatch(entry.key);
+        })
+        .catch(error => {
+            console.error('Ошибка загрузки рейтинга:', error);
+            sendError(ws, 'INTERNAL_ERROR');
+        });
+}
+
+function handleLeaveQueue(ws) {
+    const nickname = connections.get(ws);
+    if (!nickname) {
+        sendError(ws, 'NOT_AUTHENTICATED');
+        return;
+    }
+    
+    if (!removeFromQueue(nickname, 'left')) {
+        sendError(ws, 'NOT_QUEUED');
+    }
+}
+
+function handleMatchReady(ws, data) {
+    const nickname = connections.get(ws);
+    if (!nickname) {
+        sendError(ws, 'NOT_AUTHENTICATED');
+        return;
+    }
+    
+    const entry = queueEntries.get(nickname);
+    const match = entry && pendingMatches.get(entry.matchId);
+    if (!match || match.id !== data.matchId) {
+        sendError(ws, 'MATCH_NOT_FOUND');
+        return;
+    }
+    
+    if (!data.ready) {
+        removeFromQueue(nickname, 'declined');
+        return;
+    }
+    
+    match.ready.add(nickname);
+    for (const matchEntry of match.entries) {
+        send(matchEntry.ws, {
+            type: 'match_ready_update',
+            matchId: match.id,
+            ready: match.ready.size,
+            total: match.entries.length
+        });
+    }
+    
+    if (match.ready.size === match.entries.length) {
+        createMatchRoom(match);
+    }
+}
+
+// Убирает игрока из очереди или из подбора, ожидающего подтверждения; возвращает, был ли он там
+function removeFromQueue(nickname, reason) {
+    const entry = queueEntries.get(nickname);
+    if (!entry) return false;
+    
+    const match = pendingMatches.get(entry.matchId);
+    if (match) {
+        cancelMatch(match, [nickname], reason);
+        return true;
+    }
+    
+    queueEntries.delete(nickname);
+    const queue = matchQueues.get(entry.key);
+    queue.splice(queue.indexOf(entry), 1);
+    if (queue.length === 0) {
+        matchQueues.delete(entry.key);
+    }
+    
+    send(entry.ws, { type: 'queue_left', reason });
+    sendQueueStatus(entry.key);
+    return true;
+}
+
+function tryMatch(key) {
+    const queue = matchQueues.get(key) || [];
+    let group;
+    while (queue.length > 0 && (group = matchmaking.findMatch(queue, queue[0].players))) {
+        for (const entry of group) {
+            queue.splice(queue.indexOf(entry), 1);
+        }
+        startReadyCheck(key, group);
+    }
+    if (queue.length === 0) {
+        matchQueues.delete(key);
+    }
+    sendQueueStatus(key);
+}
+
+// Найденная группа должна подтвердить участие, иначе неподтвердившие выбывают
+function startReadyCheck(key, entries) {
+    const match = {
+        id: uuidv4(),
+        key,
+        entries,
+        ready: new Set(),
+        timer: null
+    };
+    match.timer = setTimeout(() => {
+        cancelMatch(match, entries.filter(entry => !match.ready.has(entry.nickname)).map(entry => entry.nickname), 'timeout');
+    }, READY_CHECK_TIMEOUT * 1000);
+    pendingMatches.set(match.id, match);
+    
+    for (const entry of entries) {
+        entry.matchId = match.id;
+        send(entry.ws, {
+            type: 'match_found',
+            matchId: match.id,
+            players: entries.map(e => e.nickname),
+            timeout: READY_CHECK_TIMEOUT
+        });
+    }
+}
+
+// Выбывшие покидают очередь, остальные возвращаются в неё на прежние места
+function cancelMatch(match, dropped, reason) {
+    clearTimeout(match.timer);
+    pendingMatches.delete(match.id);
+    
+    const requeued = match.entries.filter(entry => !dropped.includes(entry.nickname));
+    for (const entry of match.entries) {
+        entry.matchId = null;
+        if (!requeued.includes(entry)) {
+            queueEntries.delete(entry.nickname);
+        }
+        send(entry.ws, {
+            type: 'match_cancelled',
+            matchId: match.id,
+            reason,
+            requeued: requeued.includes(entry)
+        });
+    }
+    returnToQueue(match.key, requeued);
+    
+    tryMatch(match.key);
+}
+
+function returnToQueue(key, entries) {
+    if (!matchQueues.has(key)) {
+        matchQueues.set(key, []);
+    }
+    const queue = matchQueues.get(key);
+    for (const entry of entries) {
+        entry.matchId = null;
+        queueEntries.set(entry.nickname, entry);
+        queue.push(entry);
+    }
+    queue.sort((a, b) => a.joinedAt - b.joinedAt);
+}
+
+// Все подтвердили: создаём закрытую комнату тем же путём, что и игроки вручную, и сразу начинаем игру
+function createMatchRoom(match) {
+    // Пока шла проверка готовности, соединение игрока могло смениться
+    const stale = match.entries.filter(entry => connections.get(entry.ws) !== entry.nickname);
+    if (stale.length > 0) {
+        cancelMatch(match, stale.map(entry => entry.nickname), 'disconnected');
+        return;
+    }
+    
+    // Вход в комнату убирает игрока из очереди, поэтому подбор снимаем заранее
+    for (const entry of match.entries) {
+        queueEntries.delete(entry.nickname);
+    }
+    
+    const [creator, ...others] = match.entries;
+    const size = creator.players;
+    handleCreateRoom(creator.ws, {
+        name: creator.preset ? `Подбор: ${ROLE_PRESETS[creator.preset].name}` : `Подбор на ${size} игроков`,
+        isPrivate: true,
+        minPlayers: size,
+        maxPlayers: size,
+        preset: creator.preset || undefined,
+        autoStart: false
+    });
+    
+    const room = findPlayerRoom(creator.nickname);
+    if (!room) {
+        console.error(`Не удалось создать комнату для подбора ${match.id}`);
+        for (const entry of match.entries) {
+            queueEntries.set(entry.nickname, entry);
+        }
+        cancelMatch(match, [creator.nickname], 'room_failed');
+        return;
+    }
+    
+    clearTimeout(match.timer);
+    pendingMatches.delete(match.id);
+    
+    if (!matchWaits.has(match.key)) {
+        matchWaits.set(match.key, []);
+    }
+    for (const entry of match.entries) {
+        matchmaking.recordWait(matchWaits.get(match.key), (Date.now() - entry.joinedAt) / 1000);
+    }
+    
+    for (const entry of others) {
+        handleJoinRoom(entry.ws, { inviteCode: room.inviteCode });
+    }
+    
+    // Кто не смог войти, возвращается в очередь, а комнату открываем, чтобы её дозаполнили обычным способом
+    const failed = others.filter(entry => findPlayerRoom(entry.nickname) !== room);
+    if (failed.length > 0) {
+        for (const entry of failed) {
+            send(entry.ws, {
+                type: 'match_cancelled',
+                matchId: match.id,
+                reason: 'room_failed',
+                requeued: true
+            });
+        }
+        returnToQueue(match.key, failed);
+        tryMatch(match.key);
+        
+        room.isPrivate = false;
+        room.settings.autoStart = true;
+        broadcastRoomsList();
+        return;
+    }
+    
+    startGame(room);
+    console.log(`Подбор ${match.id}: начата игра в комнате "${room.name}"`);
+}
+
+function sendQueueStatus(key) {
+    const queue = matchQueues.get(key) || [];
+    const now = Date.now();
+    
+    queue.forEach((entry, index) => {
+        const waited = Math.round((now - entry.joinedAt) / 1000);
+        send(entry.ws, {
+            type: 'queue_status',
+            players: entry.players,
+            preset: entry.preset,
+            ratingBand: entry.ratingBand,
+            position: index + 1,
+            queued: queue.length,
+            needed: Math.max(0, entry.players - queue.length),
+            waited,
+            estimatedWait: matchmaking.estimateWait(matchWaits.get(key) || [], waited)
+        });
+    });
+}
+
+// Аутентификация и права
+function hashPassword(password, salt) {
+    return crypto.scryptSync(password, salt, 64).toString('hex');
+}
+
+function createAccount(nickname, password, role) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    return {
+        nickname,
+        passwordHash: hashPassword(password, salt),
+        salt,
+        role,
+        createdAt: new Date().toISOString()
+    };
+}
+
+// Учётные записи общие для всех экземпляров и лежат в общем хэше. Остальным экземплярам
+// сообщаем только ник: запись они перечитают из хэша, пароли по каналам не передаются.
+// Новый ник занимаем атомарно; возвращает false, если его уже зарегистрировали
+async function registerAccount(account) {
+    if (!await pubsub.hsetnx('accounts', account.nickname, account)) return false;
+    
+    accounts.set(account.nickname, account);
+    persist(storage.saveAccount(account));
+    publishCluster({ kind: 'account', nickname: account.nickname });
+    return true;
+}
+
+function updateAccount(account) {
+    persist(storage.saveAccount(account));
+    persist(pubsub.hset('accounts', account.nickname, account)
+        .then(() => publishCluster({ kind: 'account', nickname: account.nickname })));
+}
+
+function refreshAccount(nickname) {
+    pubsub.hget('accounts', nickname)
+        .then(account => {
+            if (account) {
+                accounts.set(nickname, account);
+            } else {
+                accounts.delete(nickname);
+            }
+        })
+        .catch(error => console.error('Ошибка загрузки учётной записи:', error));
+}
+
+function checkPassword(account, password) {
+    const hash = Buffer.from(hashPassword(password, account.salt), 'hex');
+    return crypto.timingSafeEqual(hash, Buffer.from(account.passwordHash, 'hex'));
+}
+
+function signToken(payload) {
+    const body = Buffer.from(JSON.stringify({ ...payload, exp: Date.now() + TOKEN_TTL })).toString('base64url');
+    const signature = crypto.createHmac('sha256', AUTH_SECRET).update(body).digest('base64url');
+    return `${body}.${signature}`;
+}
+
+function verifyToken(token) {
+    if (typeof token !== 'string') return null;
+    
+    const [body, signature] = token.split('.');
+    if (!body || !signature) return null;
+    
+    const expected = crypto.createHmac('sha256', AUTH_SECRET).update(body).digest('base64url');
+    if (signature.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+        return null;
+    }
+    
+    try {
+        const payload = JSON.parse(Buffer.from(body, 'base64url').toString());
+        if (payload.exp < Date.now()) return null;
+        // Гостевой токен недействителен, если ник успели зарегистрировать
+        if (payload.guest && accounts.has(payload.nickname)) return null;
+        return payload;
+    } catch (error) {
+        return null;
+    }
+}
+
+function getUserRole(nickname) {
+    // Игрок другого экземпляра приходит с ролью, проверенной там
+    const remote = remoteSockets.get(nickname);
+    if (remote && getLocalSockets(nickname).length === 0) {
+        return remote.role || 'user';
+    }
+    
+    const account = accounts.get(nickname);
+    return account ? account.role : 'user';
+}
+
+function hasPermission(nickname, permission, room) {
+    const rolePermissions = ROLE_PERMISSIONS[getUserRole(nickname)] || [];
+    if (rolePermissions.includes(permission)) {
+        return true;
+    }
+    
+    return Boolean(room && room.host === nickname && HOST_PERMISSIONS.includes(permission));
+}
+
+function isValidNickname(nickname) {
+    return typeof nickname === 'string' && /^[\p{L}\p{N}_-]{2,24}$/u.test(nickname);
+}
+
+// За прокси адрес клиента приходит в X-Forwarded-For
+function getClientIp(req) {
+    const forwarded = TRUST_PROXY && req.headers['x-forwarded-for'];
+    return forwarded ? forwarded.split(',')[0].trim() : req.socket.remoteAddress;
+}
+
+// Middleware для REST: не больше AUTH_RATE_LIMIT запросов входа с одного IP
+function limitAuthRequests(req, res, next) {
+    const retryAfter = ipLimiter.hit(getClientIp(req), 'auth', AUTH_RATE_LIMIT);
+    if (retryAfter > 0) {
+        res.set('Retry-After', String(Math.ceil(retryAfter / 1000)));
+        return res.status(429).json({ code: 'RATE_LIMITED', error: ERROR_MESSAGES.RATE_LIMITED });
+    }
+    next();
+}
+
+// Ник гостя занят во всех экземплярах, пока не истёк выданный на него токен
+async function isGuestNickname(nickname) {
+    const reservedUntil = await pubsub.hget('guests', nickname);
+    if (reservedUntil === null) return false;
+    if (reservedUntil > Date.now()) return true;
+    
+    await pubsub.hdel('guests', nickname);
+    return false;
+}
+
+// Возвращает false, если ник уже закреплён за другим гостем
+async function reserveGuestNickname(nickname) {
+    const until = Date.now() + TOKEN_TTL;
+    if (await pubsub.hsetnx('guests', nickname, until)) return true;
+    if (await isGuestNickname(nickname)) return false;
+    
+    await pubsub.hset('guests', nickname, until);
+    return true;
+}
+
+// Middleware для REST: проверяет Bearer-токен и нужное право
+function requirePermission(permission) {
+    return (req, res, next) => {
+        const header = req.headers.authorization || '';
+        const payload = verifyToken(header.replace(/^Bearer /, ''));
+        if (!payload) {
+            return res.status(401).json({ error: 'Требуется авторизация' });
+        }
+        if (!hasPermission(payload.nickname, permission)) {
+            return res.status(403).json({ error: 'Недостаточно прав' });
+        }
+        req.nickname = payload.nickname;
+        next();
+    };
+}
+
+// Вспомогательные функции
+function checkGameStart(room) {
+    if (room.status !== 'waiting' || !room.settings.autoStart) return;
+    
+    if (room.players.length >= room.minPlayers) {
+        // Автоматически начинаем игру, когда достигнуто минимальное количество игроков
+        startGame(room);
+    }
+}
+
+function startGame(room) {
+    // Сбрасываем предыдущую партию, если она ещё идёт
+    stopGame(room);
+    room.status = 'playing';
+    
+    // Распределяем роли
+    const roles = assignRoles(room.players, room.roles, room.composition);
+    for (const player of room.players) {
+        player.alive = true;
+    }
+    
+    games.set(room.id, {
+        id: uuidv4(),
+        roles,
+        phase: null,
+        day: 0,
+        phaseEndsAt: null,
+        nominations: [],
+        nominatedBy: new Map(), // nickname -> выдвинутый игрок
+        voteCandidates: [],
+        votes: new Map(), // nickname -> за кого голосует
+        revote: false,
+        executed: null,
+        nightActions: new Map(), // nickname -> {способность: цели}
+        nightDeaths: [],
+        deaths: [],
+        roleState: new Map(), // nickname -> данные роли на всю игру
+        missedTurns: new Map(), // nickname -> сколько ходов подряд игрок пропустил
+        replacedPlayers: new Map(), // nickname -> {role, bot}: неактивные игроки, за которых доигрывают боты
+        events: [], // журнал партии для повтора
+        startedAt: Date.now()
+    });
+    
+    const game = games.get(room.id);
+    recordEvent(game, 'game_started', {
+        roomName: room.name,
+        players: room.players.map(p => p.nickname),
+        settings: room.settings
+    });
+    recordEvent(game, 'roles_assigned', { roles: Object.fromEntries(roles) });
+    
+    // Уведомляем игроков о начале игры
+    broadcastRoomState(room, {
+        type: 'game_started'
+    });
+    
+    // Боты начинают игру с чистой памятью
+    for (const player of room.players) {
+        const bot = bots.get(player.nickname);
+        if (bot) {
+            bot.memory = botBrain.createBotMemory();
+        }
+    }
+    
+    // Отправляем каждому игроку его роль
+    for (const player of room.players) {
+        const role = roles.get(player.nickname);
+        if (role) {
+            sendToPlayer(player.nickname, {
+                type: 'role_assigned',
+                role
+            });
+        }
+    }
+    sendToSpectators(room.id, {
+        type: 'roles_revealed',
+        roles: Object.fromEntries(roles)
+    }, true);
+    
+    // Обновляем список комнат для всех
+    broadcastRoomsList();
+    
+    console.log(`Игра началась в комнате "${room.name}"`);
+    
+    // Игра начинается с первой ночи
+    setPhase(room, 'night');
+}
+
+// Игровой цикл
+function setPhase(room, phase) {
+    const game = games.get(room.id);
+    if (!game) return;
+    
+    clearPhaseTimer(room.id);
+    
+    if (phase === 'night') {
+        game.day++;
+    }
+    
+    const duration = room.settings.phaseDurations[phase];
+    game.phase = phase;
+    game.phaseEndsAt = Date.now() + duration * 1000;
+    recordEvent(game, 'phase_changed', { duration });
+    
+    broadcastToRoom(room.id, {
+        type: 'phase_changed',
+        phase,
+        day: game.day,
+        duration,
+        endsAt: new Date(game.phaseEndsAt).toISOString()
+    });
+    
+    onPhaseStart(room, game, phase);
+    
+    // Игра могла закончиться прямо на старте фазы (например, после казни)
+    if (games.get(room.id) !== game) return;
+    
+    phaseTimers.set(room.id, setTimeout(() => endPhase(room.id), duration * 1000));
+}
+
+function endPhase(roomId) {
+    clearPhaseTimer(roomId);
+    
+    const room = rooms.get(roomId);
+    const game = games.get(roomId);
+    if (!room || !game) return;
+    
+    const afkPlayers = trackMissedTurns(room, game);
+    
+    let nextPhase = NEXT_PHASE[game.phase];
+    switch (game.phase) {
+        case 'night':
+            resolveNight(room, game);
+            if (checkGameOver(room, game)) return;
+            break;
+        case 'day':
+            // Без выдвинутых кандидатур голосование не проводится
+            if (game.nominations.length === 0) {
+                nextPhase = 'night';
+            } else {
+                game.voteCandidates = [...game.nominations];
+            }
+            break;
+        case 'vote':
+            nextPhase = resolveVote(room, game);
+            break;
+    }
+    
+    // Замена или удаление неактивных игроков может завершить игру
+    for (const nickname of afkPlayers) {
+        removeAfkPlayer(room, game, nickname);
+    }
+    if (games.get(roomId) !== game) return;
+    
+    setPhase(room, nextPhase);
+}
+
+function onPhaseStart(room, game, phase) {
+    switch (phase) {
+        case 'morning':
+            // Утром объявляем итоги ночи
+            broadcastToRoom(room.id, {
+                type: 'morning_announcement',
+                day: game.day,
+                deaths: game.nightDeaths
+            });
+            game.nightDeaths = [];
+            break;
+        case 'day':
+            game.nominations = [];
+            game.nominatedBy.clear();
+            game.revote = false;
+            break;
+        case 'vote':
+            game.votes.clear();
+            broadcastToRoom(room.id, {
+                type: 'vote_started',
+                candidates: game.voteCandidates,
+                revote: game.revote
+            });
+            break;
+        case 'execution':
+            executePlayer(room, game);
+            break;
+    }
+}
+
+// Дневное голосование
+function submitNomination(room, nickname, target) {
+    const game = games.get(room.id);
+    if (!game || game.phase !== 'day') {
+        return 'Выдвигать кандидатов можно только днём';
+    }
+    
+    const player = room.players.find(p => p.nickname === nickname);
+    if (!player || !player.alive) {
+        return 'Вы не участвуете в игре';
+    }
+    
+    if (game.nominatedBy.has(nickname)) {
+        return 'Вы уже выдвинули кандидата';
+    }
+    
+    const targetPlayer = room.players.find(p => p.nickname === target);
+    if (!targetPlayer || !targetPlayer.alive || target === nickname) {
+        return 'Нельзя выдвинуть этого игрока';
+    }
+    
+    if (game.nominations.includes(target)) {
+        return 'Игрок уже выдвинут';
+    }
+    
+    game.nominatedBy.set(nickname, target);
+    game.nominations.push(target);
+    recordEvent(game, 'nomination', { nominator: nickname, target });
+    
+    broadcastToRoom(room.id, {
+        type: 'player_nominated',
+        nominator: nickname,
+        target,
+        nominations: game.nominations
+    });
+    
+    return null;
+}
+
+function submitVote(room, nickname, target) {
+    const game = games.get(room.id);
+    if (!game || game.phase !== 'vote') {
+        return 'Сейчас не время голосования';
+    }
+    
+    const player = room.players.find(p => p.nickname === nickname);
+    if (!player || !player.alive) {
+        return 'Вы не участвуете в игре';
+    }
+    
+    if (!game.voteCandidates.includes(target) || target === nickname) {
+        return 'Нельзя голосовать за этого игрока';
+    }
+    
+    game.votes.set(nickname, target);
+    recordEvent(game, 'vote', { voter: nickname, target });
+    
+    broadcastToRoom(room.id, {
+        type: 'vote_update',
+        votes: Object.fromEntries(game.votes),
+        tally: countVotes(game)
+    });
+    
+    return null;
+}
+
+// За себя голосовать нельзя: единственному кандидату голосовать не за кого
+function hasVoteTarget(game, nickname) {
+    return game.voteCandidates.some(candidate => candidate !== nickname);
+}
+
+function countVotes(game) {
+    const tally = {};
+    for (const candidate of game.voteCandidates) {
+        tally[candidate] = 0;
+    }
+    for (const target of game.votes.values()) {
+        tally[target]++;
+    }
+    return tally;
+}
+
+// Возвращает следующую фазу: казнь или переголосование
+function resolveVote(room, game) {
+    const tally = countVotes(game);
+    const maxVotes = Math.max(0, ...Object.values(tally));
+    const leaders = Object.keys(tally).filter(candidate => tally[candidate] === maxVotes);
+    
+    game.executed = null;
+    if (maxVotes === 0) {
+        return 'execution';
+    }
+    
+    if (leaders.length === 1) {
+        game.executed = leaders[0];
+        return 'execution';
+    }
+    
+    switch (room.settings.tieBreak) {
+        case 'random':
+            game.executed = leaders[Math.floor(Math.random() * leaders.length)];
+            break;
+        case 'revote':
+            // Переголосование проводится один раз, повторная ничья — без казни
+            if (!game.revote) {
+                game.revote = true;
+                game.voteCandidates = leaders;
+                return 'vote';
+            }
+            break;
+    }
+    
+    return 'execution';
+}
+
+function executePlayer(room, game) {
+    const nickname = game.executed;
+    if (!nickname) {
+        recordEvent(game, 'no_execution');
+        broadcastToRoom(room.id, {
+            type: 'no_execution'
+        });
+        return;
+    }
+    
+    killPlayer(room, game, nickname, 'lynch');
+    
+    broadcastToRoom(room.id, {
+        type: 'player_executed',
+        player: nickname,
+        role: room.settings.revealRoles ? game.roles.get(nickname) : undefined
+    });
+    
+    console.log(`Игрок ${nickname} казнён в комнате "${room.name}"`);
+    
+    // Некоторые роли действуют в момент казни (например, камикадзе)
+    const role = getRole(game.roles.get(nickname));
+    if (role && role.onLynched) {
+        role.onLynched({
+            nickname,
+            voters: Array.from(game.votes.entries())
+                .filter(([, target]) => target === nickname)
+                .map(([voter]) => voter),
+            isAlive: (target) => room.players.some(p => p.nickname === target && p.alive),
+            stateOf: (target) => getRoleState(game, target),
+            kill: (target, cause) => {
+                killPlayer(room, game, target, cause);
+                broadcastToRoom(room.id, {
+                    type: 'player_killed',
+                    player: target,
+                    cause,
+                    role: room.settings.revealRoles ? game.roles.get(target) : undefined
+                });
+            }
+        });
+    }
+    
+    checkGameOver(room, game);
+}
+
+// Окончание игры
+function getWinner(room, game) {
+    const alive = room.players
+        .filter(p => p.alive)
+        .map(p => {
+            const role = game.roles.get(p.nickname);
+            return { nickname: p.nickname, role, team: getRoleTeam(role) };
+        });
+    
+    if (alive.length === 0) return 'nobody';
+    
+    // Проверяем условия победы всех ролей, участвующих в игре
+    for (const roleId of new Set(game.roles.values())) {
+        const role = getRole(roleId);
+        if (role && role.winCondition && role.winCondition({ alive })) {
+            return role.team;
+        }
+    }
+    return null;
+}
+
+function checkGameOver(room, game) {
+    const winner = getWinner(room, game);
+    if (!winner) return false;
+    
+    finishGame(room, game, winner);
+    return true;
+}
+
+function finishGame(room, game, winner) {
+    stopGame(room);
+    recordEvent(game, 'game_over', { winner });
+    saveReplay(room, game, winner);
+    
+    broadcastToRoom(room.id, {
+        type: 'game_over',
+        gameId: game.id,
+        winner,
+        roles: Object.fromEntries(game.roles),
+        deaths: game.deaths,
+        duration: Math.round((Date.now() - game.startedAt) / 1000)
+    });
+    
+    console.log(`Игра в комнате "${room.name}" окончена, победитель: ${winner}`);
+    
+    const match = {
+        id: game.id,
+        roomId: room.id,
+        roomName: room.name,
+        players: Array.from(game.roles.entries()).map(([nickname, role]) => {
+            const player = room.players.find(p => p.nickname === nickname);
+            return {
+                nickname,
+                role,
+                survived: Boolean(player && player.alive),
+                isBot: Boolean(player && player.isBot),
+                left: game.deaths.some(death => death.nickname === nickname && death.cause === 'left')
+            };
+        }).concat(Array.from(game.replacedPlayers.entries()).map(([nickname, { role, bot }]) => ({
+            nickname,
+            role,
+            survived: false,
+            isBot: false,
+            left: true,
+            replacedBy: bot
+        }))),
+        winner,
+        deaths: game.deaths,
+        startedAt: new Date(game.startedAt).toISOString(),
+        endedAt: new Date().toISOString(),
+        duration: Math.round((Date.now() - game.startedAt) / 1000)
+    };
+    persist(storage.saveMatch(match));
+    persist(updateStats(match));
+    
+    if (room.settings.afterGame === 'close') {
+        deleteRoom(room);
+    } else {
+        resetPlayers(room);
+        room.status = 'waiting';
+    }
+    
+    // Обновляем список комнат для всех
+    broadcastRoomsList();
+}
+
+// Статистика и рейтинг
+async function updateStats(match) {
+    // Учитываем только зарегистрированных игроков: гостевые ники не закреплены за людьми
+    const participants = match.players.filter(p => !p.isBot && accounts.has(p.nickname));
+    if (participants.length === 0) return;
+    
+    const statsList = await Promise.all(participants.map(async (p) => {
+        return await storage.getStats(p.nickname) || {
+            nickname: p.nickname,
+            games: 0,
+            wins: 0,
+            losses: 0,
+            rating: INITIAL_RATING,
+            byRole: {}
+        };
+    }));
+    
+    // Командный Эло: средний рейтинг своей команды против среднего рейтинга соперников
+    const averageRating = (list) => list.reduce((sum, stats) => sum + stats.rating, 0) / list.length;
+    const ratingChanges = participants.map((p) => {
+        const team = getRoleTeam(p.role);
+        const allies = statsList.filter((stats, i) => getRoleTeam(participants[i].role) === team);
+        const opponents = statsList.filter((stats, i) => getRoleTeam(participants[i].role) !== team);
+        if (opponents.length === 0) return 0;
+        
+        const expected = 1 / (1 + Math.pow(10, (averageRating(opponents) - averageRating(allies)) / 400));
+        // Покинувший игру проигрывает, даже если его команда победила
+        const score = p.left ? 0 : (match.winner === 'nobody' ? 0.5 : (match.winner === team ? 1 : 0));
+        return Math.round(RATING_K_FACTOR * (score - expected));
+    });
+    
+    await Promise.all(participants.map((p, index) => {
+        const stats = statsList[index];
+        const won = !p.left && match.winner === getRoleTeam(p.role);
+        const roleStats = stats.byRole[p.role] || { games: 0, wins: 0, losses: 0 };
+        
+        stats.games++;
+        roleStats.games++;
+        if (won) {
+            stats.wins++;
+            roleStats.wins++;
+        } else {
+            stats.losses++;
+            roleStats.losses++;
+        }
+        stats.byRole[p.role] = roleStats;
+        stats.rating += ratingChanges[index];
+        stats.updatedAt = match.endedAt;
+        
+        return storage.saveStats(stats);
+    }));
+}
+
+function formatStats(stats) {
+    const winRate = (entry) => entry.games > 0 ? Math.round(entry.wins / entry.games * 1000) / 1000 : 0;
+    const byRole = {};
+    for (const [role, roleStats] of Object.entries(stats.byRole)) {
+        byRole[role] = { ...roleStats, winRate: winRate(roleStats) };
+    }
+    return { ...stats, winRate: winRate(stats), byRole };
+}
+
+// Express 4 не перехватывает ошибки асинхронных обработчиков
+function asyncRoute(handler) {
+    return (req, res, next) => handler(req, res, next).catch(next);
+}
+
+function parsePagination(query) {
+    const limit = Math.min(Math.max(parseInt(query.limit) || 20, 1), LEADERBOARD_MAX_LIMIT);
+    const page = Math.max(parseInt(query.page) || 1, 1);
+    return { limit, page, offset: (page - 1) * limit };
+}
+
+function resetPlayers(room) {
+    for (const player of room.players) {
+        delete player.alive;
+    }
+}
+
+// Игрок покинул комнату во время игры — считаем его выбывшим
+function onPlayerRemoved(room, nickname) {
+    const game = games.get(room.id);
+    if (!game || !game.roles.has(nickname)) return;
+    
+    if (!game.deaths.some(death => death.nickname === nickname)) {
+        recordDeath(game, nickname, 'left');
+    }
+    
+    checkGameOver(room, game);
+}
+
+// Ночные действия
+function submitNightAction(room, nickname, abilityId, targets) {
+    const game = games.get(room.id);
+    if (!game || game.phase !== 'night') {
+        return 'Сейчас не ночь';
+    }
+    
+    const player = room.players.find(p => p.nickname === nickname);
+    if (!player || !player.alive) {
+        return 'Вы не участвуете в игре';
+    }
+    
+    const role = getRole(game.roles.get(nickname));
+    const abilities = role ? role.abilities : [];
+    if (abilities.length === 0) {
+        return 'У вашей роли нет ночного действия';
+    }
+    
+    // Если способность одна, её можно не указывать
+    const ability = abilityId === undefined && abilities.length === 1
+        ? abilities[0]
+        : abilities.find(a => a.id === abilityId);
+    if (!ability) {
+        return 'У вашей роли нет такой способности';
+    }
+    
+    if (targets.length !== (ability.targets || 1) || new Set(targets).size !== targets.length) {
+        return 'Неверное количество целей';
+    }
+    
+    for (const target of targets) {
+        const targetPlayer = room.players.find(p => p.nickname === target);
+        if (!targetPlayer || !targetPlayer.alive) {
+            return 'Цель не найдена';
+        }
+        if (target === nickname && !ability.allowSelf) {
+            return 'Нельзя выбрать себя';
+        }
+    }
+    
+    if (ability.validate) {
+        const error = ability.validate({ actor: nickname, targets, state: getRoleState(game, nickname) });
+        if (error) return error;
+    }
+    
+    const submitted = game.nightActions.get(nickname) || {};
+    submitted[ability.id] = targets;
+    game.nightActions.set(nickname, submitted);
+    recordEvent(game, 'night_action', { player: nickname, ability: ability.id, targets });
+    
+    sendToSpectators(room.id, {
+        type: 'night_action_revealed',
+        player: nickname,
+        ability: ability.id,
+        targets
+    }, true);
+    
+    // Общую способность команда использует сообща, поэтому союзники видят выбор друг друга
+    if (ability.collective) {
+        for (const [allyNickname, allyRoleId] of game.roles.entries()) {
+            const allyRole = getRole(allyRoleId);
+            if (allyNickname !== nickname && allyRole && allyRole.abilities.includes(ability)) {
+                sendToPlayer(allyNickname, {
+                    type: 'mafia_vote',
+                    voter: nickname,
+                    target: targets[0]
+                });
+            }
+        }
+    }
+    
+    return null;
+}
+
+function allNightActionsSubmitted(room, game) {
+    return room.players.every(p => {
+        if (!p.alive || isAfk(game, p.nickname)) return true;
+        const role = getRole(game.roles.get(p.nickname));
+        const submitted = game.nightActions.get(p.nickname) || {};
+        return !role || role.abilities.every(ability => submitted[ability.id]);
+    });
+}
+
+function getRoleState(game, nickname) {
+    if (!game.roleState.has(nickname)) {
+        game.roleState.set(nickname, {});
+    }
+    return game.roleState.get(nickname);
+}
+
+// Разрешаем ночные действия в порядке приоритета способностей из реестра ролей.
+// Заблокированный игрок теряет все действия, которые разрешаются после блокировки.
+function resolveNight(room, game) {
+    const submissionsByAbility = new Map(); // способность -> [{actor, targets}]
+    for (const [actor, submitted] of game.nightActions.entries()) {
+        const role = getRole(game.roles.get(actor));
+        if (!role) continue;
+        
+        for (const ability of role.abilities) {
+            if (!submitted[ability.id]) continue;
+            if (!submissionsByAbility.has(ability)) {
+                submissionsByAbility.set(ability, []);
+            }
+            submissionsByAbility.get(ability).push({ actor, targets: submitted[ability.id] });
+        }
+    }
+    
+    const blocked = new Set();
+    const healed = new Set();
+    const guards = new Map(); // цель -> телохранитель
+    const attacked = new Set();
+    const ctx = {
+        roleOf: (nickname) => game.roles.get(nickname),
+        teamOf: (nickname) => getRoleTeam(game.roles.get(nickname)),
+        stateOf: (nickname) => getRoleState(game, nickname),
+        block: (nickname) => blocked.add(nickname),
+        heal: (nickname) => healed.add(nickname),
+        guard: (nickname, bodyguard) => guards.set(nickname, bodyguard),
+        attack: (nickname) => attacked.add(nickname),
+        notify: (nickname, data) => {
+            recordEvent(game, 'night_result', { player: nickname, message: data });
+            sendToPlayer(nickname, data);
+            sendToSpectators(room.id, { type: 'player_notified', player: nickname, message: data }, true);
+        }
+    };
+    
+    const abilities = Array.from(submissionsByAbility.keys())
+        .sort((a, b) => (a.priority || 0) - (b.priority || 0));
+    for (const ability of abilities) {
+        const submissions = submissionsByAbility.get(ability).filter(({ actor }) => !blocked.has(actor));
+        if (submissions.length > 0) {
+            ability.resolve(ctx, submissions);
+        }
+    }
+    
+    for (const nickname of blocked) {
+        if (game.nightActions.has(nickname)) {
+            recordEvent(game, 'action_blocked', { player: nickname });
+            sendToPlayer(nickname, { type: 'action_blocked' });
+        }
+    }
+    
+    // Атакованный погибает, если его не вылечили; телохранитель погибает вместо цели
+    for (const target of attacked) {
+        if (healed.has(target)) {
+            recordEvent(game, 'attack_prevented', { player: target, by: 'heal' });
+            continue;
+        }
+        
+        const bodyguard = guards.get(target);
+        const victim = bodyguard && !blocked.has(bodyguard) ? bodyguard : target;
+        if (victim !== target && healed.has(victim)) continue;
+        
+        if (room.players.some(p => p.nickname === victim && p.alive)) {
+            killPlayer(room, game, victim, 'night');
+            game.nightDeaths.push({ nickname: victim });
+        }
+    }
+    
+    game.nightActions.clear();
+}
+
+function killPlayer(room, game, nickname, cause) {
+    const player = room.players.find(p => p.nickname === nickname);
+    if (!player || !player.alive) return;
+    
+    player.alive = false;
+    recordDeath(game, nickname, cause);
+}
+
+function recordDeath(game, nickname, cause) {
+    game.deaths.push({
+        nickname,
+        cause,
+        day: game.day,
+        phase: game.phase,
+        at: new Date().toISOString()
+    });
+    recordEvent(game, 'death', { player: nickname, cause });
+}
+
+// Журнал партии: события по порядку, с номером шага и временем
+function recordEvent(game, type, data = {}) {
+    game.events.push({
+        seq: game.events.length,
+        type,
+        day: game.day,
+        phase: game.phase,
+        at: new Date().toISOString(),
+        ...data
+    });
+}
+
+function saveReplay(room, game, result) {
+    persist(storage.saveReplay({
+        id: game.id,
+        roomId: room.id,
+        roomName: room.name,
+        result,
+        startedAt: new Date(game.startedAt).toISOString(),
+        endedAt: new Date().toISOString(),
+        events: game.events
+    }));
+}
+
+// Состояние партии после шага step: кто жив, фаза, выдвижения и голоса
+function buildReplayState(replay, step) {
+    const state = { day: 0, phase: null, alive: [], dead: [], roles: {}, nominations: [], votes: {} };
+    for (const event of replay.events.slice(0, step + 1)) {
+        state.day = event.day;
+        state.phase = event.phase;
+        switch (event.type) {
+            case 'game_started':
+                state.alive = [...event.players];
+                break;
+            case 'roles_assigned':
+                state.roles = event.roles;
+                break;
+            case 'phase_changed':
+                if (event.phase === 'day') state.nominations = [];
+                if (event.phase === 'vote') state.votes = {};
+                break;
+            case 'nomination':
+                state.nominations.push(event.target);
+                break;
+            case 'vote':
+                state.votes[event.voter] = event.target;
+                break;
+            case 'death':
+                state.alive = state.alive.filter(nickname => nickname !== event.player);
+                state.dead.push({ nickname: event.player, cause: event.cause });
+                break;
+        }
+    }
+    return state;
+}
+
+function clearPhaseTimer(roomId) {
+    const timer = phaseTimers.get(roomId);
+    if (timer) {
+        clearTimeout(timer);
+        phaseTimers.delete(roomId);
+    }
+}
+
+function stopGame(room) {
+    clearPhaseTimer(room.id);
+    clearBotTimers(room.id);
+    games.delete(room.id);
+}
+
+// Если все ночные роли сделали ход, не ждём окончания таймера
+function checkNightComplete(room) {
+    const game = games.get(room.id);
+    if (game && game.phase === 'night' && allNightActionsSubmitted(room, game)) {
+        endPhase(room.id);
+    }
+}
+
+// Если проголосовали все живые игроки, подводим итоги сразу
+function checkVoteComplete(room) {
+    const game = games.get(room.id);
+    if (!game || game.phase !== 'vote') return;
+    
+    const voters = room.players.filter(p => p.alive && !isAfk(game, p.nickname) && hasVoteTarget(game, p.nickname));
+    if (voters.every(p => game.votes.has(p.nickname))) {
+        endPhase(room.id);
+    }
+}
+
+// Неактивные игроки
+function isAfk(game, nickname) {
+    return (game.missedTurns.get(nickname) || 0) >= AFK_SKIP_AFTER;
+}
+
+// Считаем пропущенные ночные действия и голоса; возвращает тех, кого пора заменить
+function trackMissedTurns(room, game) {
+    if (game.phase !== 'night' && game.phase !== 'vote') return [];
+    
+    const afkPlayers = [];
+    for (const player of room.players) {
+        if (player.isBot || !player.alive) continue;
+        
+        let missed;
+        if (game.phase === 'night') {
+            const role = getRole(game.roles.get(player.nickname));
+            if (!role || role.abilities.length === 0) continue;
+            missed = !game.nightActions.has(player.nickname);
+        } else {
+            if (!hasVoteTarget(game, player.nickname)) continue;
+            missed = !game.votes.has(player.nickname);
+        }
+        
+        if (!missed) {
+            game.missedTurns.delete(player.nickname);
+            continue;
+        }
+        
+        const count = (game.missedTurns.get(player.nickname) || 0) + 1;
+        game.missedTurns.set(player.nickname, count);
+        sendToPlayer(player.nickname, {
+            type: 'afk_warning',
+            missedTurns: count,
+            skipAfter: AFK_SKIP_AFTER,
+            replaceAfter: AFK_REPLACE_AFTER
+        });
+        if (count >= AFK_REPLACE_AFTER) {
+            afkPlayers.push(player.nickname);
+        }
+    }
+    return afkPlayers;
+}
+
+// Место неактивного игрока занимает бот с той же ролью, либо игрок выбывает
+function removeAfkPlayer(room, game, nickname) {
+    const player = room.players.find(p => p.nickname === nickname);
+    // Казнимого на этом голосовании не трогаем: он и так покидает игру
+    if (!player || !player.alive || game.executed === nickname) return;
+    
+    const bot = AFK_ACTION === 'bot' ? createReplacementBot(room, game, player) : null;
+    if (bot) {
+        replacePlayerInRoom(room, nickname, bot);
+    } else {
+        removePlayerFromRoom(room, nickname);
+    }
+    
+    sendToPlayer(nickname, {
+        type: 'afk_removed',
+        roomId: room.id,
+        replacedBy: bot ? bot.nickname : null
+    });
+    recordEvent(game, 'afk_removed', { player: nickname, bot: bot ? bot.nickname : null });
+    console.log(`Игрок ${nickname} неактивен в комнате "${room.name}"${bot ? `, его заменил бот ${bot.nickname}` : ' и выбыл'}`);
+    
+    if (room.players.every(p => p.isBot)) {
+        deleteRoom(room);
+        broadcastRoomsList();
+        return;
+    }
+    
+    broadcastRoomState(room, bot
+        ? { type: 'player_replaced', player: nickname, bot: buildPlayerView(bot) }
+        : { type: 'player_left', player: buildPlayerView(player), reason: 'afk' });
+    reassignHost(room);
+    if (!bot) {
+        onPlayerRemoved(room, nickname);
+    }
+    broadcastRoomsList();
+}
+
+// Бот получает роль и состояние роли игрока; ходить начнёт со следующей фазы
+function createReplacementBot(room, game, player) {
+    let botName = `${player.nickname.slice(0, 20)}_bot`;
+    while (room.players.some(p => p.nickname === botName) || users.has(botName) || bots.has(botName)) {
+        botName = `Bot_${Math.floor(Math.random() * 10000)}`;
+    }
+    
+    // В итогах игры заменённый игрок остаётся как покинувший её
+    game.replacedPlayers.set(player.nickname, { role: game.roles.get(player.nickname), bot: botName });
+    game.roles.set(botName, game.roles.get(player.nickname));
+    game.roles.delete(player.nickname);
+    if (game.roleState.has(player.nickname)) {
+        game.roleState.set(botName, game.roleState.get(player.nickname));
+        game.roleState.delete(player.nickname);
+    }
+    game.missedTurns.delete(player.nickname);
+    
+    bots.set(botName, {
+        roomId: room.id,
+        difficulty: 'normal',
+        memory: botBrain.createBotMemory()
+    });
+    return {
+        nickname: botName,
+        isBot: true,
+        avatar: '🤖',
+        difficulty: 'normal',
+        alive: player.alive
+    };
+}
+
+// Боты
+function notifyBot(nickname, data) {
+    const bot = bots.get(nickname);
+    if (!bot) return;
+    
+    const room = rooms.get(bot.roomId);
+    if (!room || !games.has(room.id)) return;
+    
+    botBrain.observe(bot.memory, nickname, data);
+    
+    if (data.type === 'phase_changed') {
+        const delay = BOT_MIN_DELAY + Math.random() * (BOT_MAX_DELAY - BOT_MIN_DELAY);
+        // Бот должен успеть сходить до конца фазы
+        scheduleBotAction(room.id, () => runBotTurn(room.id, nickname, data.phase), Math.min(delay, data.duration * 500));
+    } else if (data.type === 'player_nominated' && data.target === nickname) {
+        scheduleBotAction(room.id, () => runBotChat(room.id, nickname, 'defend'), BOT_MIN_DELAY);
+    }
+}
+
+function scheduleBotAction(roomId, action, delay) {
+    if (!botTimers.has(roomId)) {
+        botTimers.set(roomId, new Set());
+    }
+    const timers = botTimers.get(roomId);
+    const timer = setTimeout(() => {
+        timers.delete(timer);
+        action();
+    }, delay);
+    timers.add(timer);
+}
+
+function clearBotTimers(roomId) {
+    const timers = botTimers.get(roomId);
+    if (timers) {
+        timers.forEach(timer => clearTimeout(timer));
+        botTimers.delete(roomId);
+    }
+}
+
+function buildBotView(room, game, nickname) {
+    const bot = bots.get(nickname);
+    const roleId = game.roles.get(nickname);
+    const role = getRole(roleId);
+    const team = getRoleTeam(roleId);
+    
+    return {
+        nickname,
+        difficulty: bot.difficulty,
+        role: roleId,
+        team,
+        abilities: role ? role.abilities.map(ability => ({
+            id: ability.id,
+            targets: ability.targets || 1,
+            allowSelf: Boolean(ability.allowSelf)
+        })) : [],
+        alive: room.players.filter(p => p.alive).map(p => p.nickname),
+        // Мафия знает своих
+        allies: team === 'mafia'
+            ? Array.from(game.roles.entries())
+                .filter(([allyNickname, allyRole]) => allyNickname !== nickname && getRoleTeam(allyRole) === 'mafia')
+                .map(([allyNickname]) => allyNickname)
+            : [],
+        state: getRoleState(game, nickname),
+        nominations: game.nominations,
+        candidates: game.voteCandidates,
+        memory: bot.memory
+    };
+}
+
+function getAliveBot(roomId, nickname) {
+    const room = rooms.get(roomId);
+    const game = room && games.get(roomId);
+    const player = room && room.players.find(p => p.nickname === nickname);
+    if (!game || !player || !player.alive || !bots.has(nickname)) return null;
+    return { room, game };
+}
+
+function runBotTurn(roomId, nickname, phase) {
+    const context = getAliveBot(roomId, nickname);
+    if (!context || context.game.phase !== phase) return;
+    
+    const { room, game } = context;
+    const view = buildBotView(room, game, nickname);
+    
+    switch (phase) {
+        case 'night':
+            for (const action of botBrain.chooseNightActions(view)) {
+                submitNightAction(room, nickname, action.ability, action.targets);
+            }
+            checkNightComplete(room);
+            break;
+        case 'day': {
+            runBotChat(roomId, nickname, 'day');
+            const target = botBrain.chooseNomination(view);
+            if (target) {
+                submitNomination(room, nickname, target);
+            }
+            break;
+        }
+        case 'vote': {
+            const target = botBrain.chooseVote(view);
+            if (target) {
+                submitVote(room, nickname, target);
+            }
+            checkVoteComplete(room);
+            break;
+        }
+    }
+}
+
+function runBotChat(roomId, nickname, reason) {
+    const context = getAliveBot(roomId, nickname);
+    if (!context || context.game.phase !== 'day') return;
+    
+    const text = botBrain.pickChatLine(buildBotView(context.room, context.game, nickname), reason);
+    if (text) {
+        postChatMessage(context.room, nickname, 'public', text);
+    }
+}
+
+function buildPhaseDurations(custom) {
+    const durations = { ...DEFAULT_PHASE_DURATIONS };
+    if (custom && typeof custom === 'object') {
+        for (const phase of Object.keys(durations)) {
+            const value = parseInt(custom[phase]);
+            if (value > 0) {
+                durations[phase] = Math.min(value, MAX_PHASE_DURATION);
+            }
+        }
+    }
+    return durations;
+}
+
+function assignRoles(players, availableRoles, composition) {
+    const roles = new Map(); // nickname -> role
+    const playerCount = players.length;
+    
+    // Явный состав ролей из настроек комнаты, иначе — расчёт по формуле
+    const roleArray = composition
+        ? buildCompositionRoles(composition)
+        : buildDefaultRoles(playerCount, availableRoles);
+    
+    // Добавляем мирных жителей
+    const civilianCount = playerCount - roleArray.length;
+    for (let i = 0; i < civilianCount; i++) roleArray.push('civilian');
+    
+    // Перемешиваем роли
+    for (let i = roleArray.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [roleArray[i], roleArray[j]] = [roleArray[j], roleArray[i]];
+    }
+    
+    // Назначаем роли игрокам
+    players.forEach((player, index) => {
+        roles.set(player.nickname, roleArray[index]);
+    });
+    
+    return roles;
+}
+
+function buildCompositionRoles(composition) {
+    // Мирные жители в составе — это минимум, остальные места добираются ими же
+    const roleArray = [];
+    for (const [role, count] of Object.entries(composition)) {
+        if (role === 'civilian') continue;
+        for (let i = 0; i < count; i++) roleArray.push(role);
+    }
+    return roleArray;
+}
+
+function buildDefaultRoles(playerCount, availableRoles) {
+    // Определяем количество каждой роли
+    let mafiaCount = Math.max(1, Math.floor(playerCount / 4));
+    let sheriffCount = 1;
+    let doctorCount = availableRoles.includes('doctor') ? 1 : 0;
+    let maniacCount = availableRoles.includes('maniac') ? 1 : 0;
+    let loverCount = availableRoles.includes('lover') ? 2 : 0;
+    
+    // Убеждаемся, что у нас достаточно игроков для всех ролей
+    const specialRolesCount = mafiaCount + sheriffCount + doctorCount + maniacCount + loverCount;
+    if (specialRolesCount > playerCount) {
+        // Корректируем количество ролей
+        loverCount = 0;
+        if (specialRolesCount - 2 > playerCount) {
+            maniacCount = 0;
+            if (specialRolesCount - 3 > playerCount) {
+                doctorCount = 0;
+                if (specialRolesCount - 4 > playerCount) {
+                    mafiaCount = 1;
+                }
+            }
+        }
+    }
+    
+    // Создаем массив ролей
+    const roleArray = [];
+    for (let i = 0; i < mafiaCount; i++) roleArray.push('mafia');
+    for (let i = 0; i < sheriffCount; i++) roleArray.push('sheriff');
+    for (let i = 0; i < doctorCount; i++) roleArray.push('doctor');
+    for (let i = 0; i < maniacCount; i++) roleArray.push('maniac');
+    for (let i = 0; i < loverCount; i++) roleArray.push('lover');
+    
+    return roleArray;
+}
+
+// Настройки комнаты из сообщения: используются при создании и при изменении хостом.
+// Состав ролей: пресет, явные количества или расчёт по формуле
+function buildRoomConfig(data) {
+    let composition = null;
+    let preset = null;
+    let minPlayers = data.minPlayers;
+    let maxPlayers = data.maxPlayers;
+    if (data.preset !== undefined && data.preset !== null) {
+        const presetConfig = Object.hasOwn(ROLE_PRESETS, data.preset) ? ROLE_PRESETS[data.preset] : null;
+        if (!presetConfig) {
+            return { error: 'Неизвестный пресет ролей' };
+        }
+        preset = data.preset;
+        composition = { ...presetConfig.composition };
+        minPlayers = presetConfig.minPlayers;
+        maxPlayers = presetConfig.maxPlayers;
+    } else if (data.composition !== undefined && data.composition !== null) {
+        composition = data.composition;
+    }
+    
+    if (composition) {
+        const error = validateComposition(composition, minPlayers, maxPlayers);
+        if (error) {
+            return { error };
+        }
+    }
+    
+    if (!Number.isInteger(minPlayers) || !Number.isInteger(maxPlayers) || minPlayers > maxPlayers) {
+        return { error: 'Укажите число игроков: minPlayers не больше maxPlayers' };
+    }
+    
+    const roles = data.roles || [];
+    const unknownRole = roles.find(role => !getRole(role));
+    if (unknownRole) {
+        return { error: `Неизвестная роль: ${unknownRole}` };
+    }
+    
+    return {
+        config: {
+            minPlayers,
+            maxPlayers,
+            roles,
+            composition,
+            preset,
+            settings: {
+                phaseDurations: buildPhaseDurations(data.phaseDurations),
+                tieBreak: TIE_BREAK_RULES.includes(data.tieBreak) ? data.tieBreak : 'none',
+                revealRoles: data.revealRoles !== false,
+                afterGame: AFTER_GAME_ACTIONS.includes(data.afterGame) ? data.afterGame : 'lobby',
+                autoStart: data.autoStart !== false,
+                slowMode: data.slowMode || 0,
+                allowSpectators: data.allowSpectators !== false,
+                spectatorReveal: data.spectatorReveal === true
+            }
+        }
+    };
+}
+
+function countRoles(composition) {
+    return Object.values(composition).reduce((sum, count) => sum + count, 0);
+}
+
+// Проверяем, что состав ролей играбелен при минимальном числе игроков
+function validateComposition(composition, minPlayers, maxPlayers) {
+    if (!composition || typeof composition !== 'object' || Array.isArray(composition)) {
+        return 'Некорректный состав ролей';
+    }
+    
+    for (const [role, count] of Object.entries(composition)) {
+        if (!getRole(role)) {
+            return `Неизвестная роль: ${role}`;
+        }
+        if (!Number.isInteger(count) || count < 0) {
+            return `Некорректное количество для роли ${role}`;
+        }
+    }
+    
+    const min = parseInt(minPlayers);
+    const max = parseInt(maxPlayers);
+    if (!(min > 0) || !(max >= min)) {
+        return 'Некорректное количество игроков';
+    }
+    
+    const total = countRoles(composition);
+    if (total > min) {
+        return 'Ролей в составе больше, чем минимальное число игроков';
+    }
+    
+    const countTeam = (team) => Object.entries(composition)
+        .filter(([role]) => getRoleTeam(role) === team)
+        .reduce((sum, [, count]) => sum + count, 0);
+    if (countTeam('mafia') < 1) {
+        return 'В составе должна быть хотя бы одна мафия';
+    }
+    
+    // Мирных должно быть больше, чем враждебных ролей, иначе игра решена заранее
+    const hostileCount = countTeam('mafia') + countTeam('maniac');
+    if (hostileCount >= min - hostileCount) {
+        return 'Состав несбалансирован: слишком много мафии и маньяков';
+    }
+    
+    return null;
+}
+
+function send(ws, data) {
+    checkOutbound(data);
+    if (ws.readyState === WebSocket.OPEN) {
+        ws.send(JSON.stringify(data));
+    }
+}
+
+// Флуд: считаем сообщения по соединению и по IP
+function isRateLimited(ws, data) {
+    const type = data && Object.hasOwn(RATE_LIMITS, data.type) ? data.type : 'default';
+    const rule = RATE_LIMITS[type];
+    const ip = clientIps.get(ws);
+    
+    const retryAfter = Math.max(
+        connectionLimiter.hit(ws, type, rule),
+        ip ? ipLimiter.hit(ip, type, { ...rule, limit: rule.limit * IP_RATE_MULTIPLIER }) : 0
+    );
+    if (retryAfter === 0) return false;
+    
+    sendError(ws, 'RATE_LIMITED', undefined, { retryAfter: Math.ceil(retryAfter / 1000) });
+    
+    // Флуд в чате тоже считается нарушением
+    const nickname = connections.get(ws);
+    if (type === 'chat_message' && nickname) {
+        registerChatOffense(nickname, 'Флуд в чате');
+    }
+    return true;
+}
+
+// Повторные нарушения в чате приводят к временному муту
+function registerChatOffense(nickname, reason) {
+    const now = Date.now();
+    const offenses = (chatOffenses.get(nickname) || []).filter(at => now - at < CHAT_OFFENSE_WINDOW);
+    offenses.push(now);
+    chatOffenses.set(nickname, offenses);
+    
+    if (offenses.length >= CHAT_OFFENSE_LIMIT && !getActiveMute(nickname)) {
+        chatOffenses.delete(nickname);
+        const muteInfo = {
+            until: now + AUTO_MUTE_DURATION * 60 * 1000,
+            reason
+        };
+        mutedUsers.set(nickname, muteInfo);
+        persist(storage.saveMute(nickname, muteInfo));
+        publishCluster({ kind: 'mute', nickname, muteInfo });
+        
+        sendToPlayer(nickname, {
+            type: 'player_muted',
+            player: nickname,
+            until: muteInfo.until,
+            reason
+        });
+        
+        recordAudit('mute', 'system', { target: nickname, reason, details: { duration: AUTO_MUTE_DURATION, automatic: true } });
+        console.log(`Игрок ${nickname} получил мут на ${AUTO_MUTE_DURATION} минут: ${reason}`);
+    }
+}
+
+// Глобальный мут действует везде, мут в комнате — только в ней
+function getActiveMute(nickname, roomId) {
+    const muteInfo = mutedUsers.get(nickname);
+    if (muteInfo) {
+        if (muteInfo.until === 0 || Date.now() < muteInfo.until) {
+            return muteInfo;
+        }
+        mutedUsers.delete(nickname);
+        persist(storage.deleteMute(nickname));
+    }
+    
+    const roomMuteInfo = roomId && roomMutes.has(roomId) ? roomMutes.get(roomId).get(nickname) : null;
+    if (roomMuteInfo) {
+        if (roomMuteInfo.until === 0 || Date.now() < roomMuteInfo.until) {
+            return roomMuteInfo;
+        }
+        roomMutes.get(roomId).delete(nickname);
+    }
+    return null;
+}
+
+function formatMuteMessage(muteInfo) {
+    return `Вам запрещено писать в чат: ${muteInfo.reason}${muteInfo.until ? ` (до ${new Date(muteInfo.until).toLocaleString()})` : ' (навсегда)'}`;
+}
+
+function getActiveBan(nickname) {
+    const banInfo = bannedUsers.get(nickname);
+    if (!banInfo) return null;
+    
+    if (banInfo.until === 0 || Date.now() < banInfo.until) {
+        return banInfo;
+    }
+    
+    bannedUsers.delete(nickname);
+    persist(storage.deleteBan(nickname));
+    return null;
+}
+
+function formatBanMessage(banInfo) {
+    return `Вы забанены: ${banInfo.reason}${banInfo.until ? ` (до ${new Date(banInfo.until).toLocaleString()})` : ' (навсегда)'}`;
+}
+
+function persist(operation) {
+    operation.catch(error => console.error('Ошибка сохранения данных:', error));
+}
+
+function createPlayer(user) {
+    return { ...user, connected: true };
+}
+
+function findPlayerRoom(nickname) {
+    const roomId = playerRooms.get(nickname);
+    return roomId ? rooms.get(roomId) || null : null;
+}
+
+// Игрок может сидеть только в одной комнате — здесь или на другом экземпляре
+function findActiveRoomId(nickname) {
+    if (playerRooms.has(nickname)) {
+        return playerRooms.get(nickname);
+    }
+    const remote = remoteRooms.get(nickname);
+    return remote ? remote.roomId : null;
+}
+
+// Индексы соединений: все изменения connections и состава комнат проходят через эти функции
+function bindSocket(ws, nickname) {
+    connections.set(ws, nickname);
+    if (!userSockets.has(nickname)) {
+        userSockets.set(nickname, new Set());
+    }
+    userSockets.get(nickname).add(ws);
+    
+    const roomId = playerRooms.get(nickname);
+    if (roomId) {
+        roomSockets.get(roomId).add(ws);
+    }
+}
+
+function unbindSocket(ws) {
+    const nickname = connections.get(ws);
+    if (!nickname) return;
+    
+    connections.delete(ws);
+    const sockets = userSockets.get(nickname);
+    sockets.delete(ws);
+    if (sockets.size === 0) {
+        userSockets.delete(nickname);
+    }
+    
+    const roomId = playerRooms.get(nickname);
+    if (roomId) {
+        roomSockets.get(roomId).delete(ws);
+    }
+}
+
+function getSockets(nickname) {
+    return userSockets.get(nickname) || new Set();
+}
+
+// Севший за стол игрок покидает очередь подбора
+function addPlayerToRoom(room, player) {
+    removeFromQueue(player.nickname, 'joined_room');
+    room.players.push(player);
+    playerRooms.set(player.nickname, room.id);
+    
+    if (!roomSockets.has(room.id)) {
+        roomSockets.set(room.id, new Set());
+    }
+    for (const ws of getSockets(player.nickname)) {
+        roomSockets.get(room.id).add(ws);
+    }
+}
+
+// Новый игрок занимает то же место за столом
+function replacePlayerInRoom(room, nickname, player) {
+    const playerIndex = room.players.findIndex(p => p.nickname === nickname);
+    removePlayerFromRoom(room, nickname);
+    addPlayerToRoom(room, player);
+    room.players.splice(playerIndex, 0, room.players.pop());
+}
+
+// Возвращает удалённого игрока или null
+function removePlayerFromRoom(room, nickname) {
+    const playerIndex = room.players.findIndex(p => p.nickname === nickname);
+    if (playerIndex === -1) return null;
+    
+    const [player] = room.players.splice(playerIndex, 1);
+    playerRooms.delete(nickname);
+    for (const ws of getSockets(nickname)) {
+        roomSockets.get(room.id).delete(ws);
+    }
+    return player;
+}
+
+function deleteRoom(room, reason) {
+    stopGame(room);
+    broadcastToRoom(room.id, {
+        type: 'room_closed',
+        roomId: room.id,
+        reason
+    });
+    spectators.delete(room.id);
+    roomMutes.delete(room.id);
+    rooms.delete(room.id);
+    roomSockets.delete(room.id);
+    inviteCodes.delete(room.inviteCode);
+    roomPasswords.delete(room.id);
+    releaseRoom(room);
+    chatHistory.delete(room.id);
+    for (const player of room.players) {
+        bots.delete(player.nickname);
+        playerRooms.delete(player.nickname);
+    }
+}
+
+function saveChatMessage(roomId, message) {
+    const history = chatHistory.get(roomId) || [];
+    history.push({
+        channel: message.channel,
+        sender: message.sender,
+        message: message.message,
+        timestamp: message.timestamp
+    });
+    if (history.length > CHAT_HISTORY_LIMIT) {
+        history.shift();
+    }
+    chatHistory.set(roomId, history);
+}
+
+function deleteSessions(nickname) {
+    for (const [token, sessionNickname] of sessions.entries()) {
+        if (sessionNickname === nickname) {
+            sessions.delete(token);
+        }
+    }
+}
+
+function clearDisconnectTimer(nickname) {
+    const timer = disconnectTimers.get(nickname);
+    if (timer) {
+        clearTimeout(timer);
+        disconnectTimers.delete(nickname);
+    }
+}
+
+function sendToPlayer(nickname, data) {
+    if (bots.has(nickname)) {
+        notifyBot(nickname, data);
+        return;
+    }
+    
+    const sockets = getSockets(nickname);
+    if (sockets.size > 0) {
+        for (const clientWs of sockets) {
+            send(clientWs, data);
+        }
+        return;
+    }
+    
+    // Игрок вне наших комнат может быть подключён к другому экземпляру
+    if (!findPlayerRoom(nickname)) {
+        checkOutbound(data);
+        publishCluster({ kind: 'player', nickname, payload: JSON.stringify(data) });
+    }
+}
+
+function sendError(ws, code, message = ERROR_MESSAGES[code], details) {
+    send(ws, {
+        type: 'error',
+        code,
+        message,
+        ...(details ? { details } : {})
+    });
+}
+
+// В разработке сверяем исходящие сообщения со схемами протокола
+function checkOutbound(data) {
+    if (!CHECK_OUTBOUND_MESSAGES) return;
+    
+    const error = validateOutbound(data);
+    if (error) {
+        console.warn(`Сообщение ${data.type} не соответствует протоколу: ${error}`);
+    }
+}
+
+// Всем клиентам всех экземпляров
+function broadcast(data) {
+    broadcastLocal(data);
+    publishCluster({ kind: 'broadcast', payload: JSON.stringify(data) });
+}
+
+function broadcastLocal(data) {
+    checkOutbound(data);
+    sendRawToClients(JSON.stringify(data));
+}
+
+function sendRawToClients(payload) {
+    wss.clients.forEach(client => {
+        if (client.readyState === WebSocket.OPEN) {
+            client.send(payload);
+        }
     });
 }
 
@@ -670,49 +4062,101 @@ function broadcastToRoom(roomId, data) {
     if (!room) return;
     
     for (const player of room.players) {
-        for (const [clientWs, clientNickname] of connections.entries()) {
-            if (clientNickname === player.nickname) {
-                send(clientWs, data);
-                break;
-            }
+        if (player.isBot) {
+            notifyBot(player.nickname, data);
         }
     }
+    
+    for (const clientWs of roomSockets.get(roomId) || []) {
+        send(clientWs, data);
+    }
+    
+    sendToSpectators(roomId, data);
+}
+
+// Рассылаем комнату каждому получателю в его представлении: у каждого игрока своя роль и союзники
+function broadcastRoomState(room, data) {
+    for (const player of room.players) {
+        sendToPlayer(player.nickname, {
+            ...data,
+            room: getRoomView(room, player.nickname)
+        });
+    }
+    sendToSpectators(room.id, {
+        ...data,
+        room: getRoomView(room, null)
+    });
+}
+
+function getRoomView(room, nickname) {
+    return buildRoomView(room, games.get(room.id), nickname, getSpectators(room.id).size);
+}
+
+// Сводки всех комнат этого экземпляра, включая закрытые: по ним другие экземпляры знают, где кто играет
+function getLocalLobby() {
+    return Array.from(rooms.values()).map(room => buildLobbyView(room, getSpectators(room.id).size));
+}
+
+// Закрытые комнаты в общий список не попадают
+function getPublicRoomsList() {
+    return getLocalLobby()
+        .concat(Array.from(remoteLobby.values(), entry => entry.view))
+        .filter(room => !room.isPrivate);
 }
 
 function sendRoomsList(ws) {
-    const roomsList = Array.from(rooms.values()).map(room => ({
-        id: room.id,
-        name: room.name,
-        creator: room.creator,
-        players: room.players,
-        minPlayers: room.minPlayers,
-        maxPlayers: room.maxPlayers,
-        roles: room.roles,
-        status: room.status
-    }));
-    
     send(ws, {
         type: 'rooms_list',
-        rooms: roomsList
+        rooms: getPublicRoomsList()
     });
 }
 
+// Клиенты получают полный список при подключении, а дальше — только изменения.
+// added и updated применяются как вставка или замена по id
 function broadcastRoomsList() {
-    const roomsList = Array.from(rooms.values()).map(room => ({
-        id: room.id,
-        name: room.name,
-        creator: room.creator,
-        players: room.players,
-        minPlayers: room.minPlayers,
-        maxPlayers: room.maxPlayers,
-        roles: room.roles,
-        status: room.status
-    }));
+    const { added, updated, removed, snapshot } = diffLobby(lobbySnapshot, getLocalLobby());
+    lobbySnapshot = snapshot;
+    if (added.length === 0 && updated.length === 0 && removed.length === 0) return;
     
-    broadcast({
-        type: 'rooms_list',
-        rooms: roomsList
-    });
+    publishCluster({ kind: 'lobby', added, updated, removed });
+    sendRoomsDiff(added, updated, removed);
+}
+
+// Комната, ставшая закрытой, для клиентов просто исчезает из списка
+function sendRoomsDiff(added, updated, removed) {
+    const diff = {
+        type: 'rooms_diff',
+        added: added.filter(room => !room.isPrivate),
+        updated: updated.filter(room => !room.isPrivate),
+        removed: removed.concat(updated.filter(room => room.isPrivate).map(room => room.id))
+    };
+    if (diff.added.length === 0 && diff.updated.length === 0 && diff.removed.length === 0) return;
+    
+    broadcastLocal(diff);
+}
+
+function generateInviteCode() {
+    let code;
+    do {
+        code = Array.from({ length: INVITE_CODE_LENGTH }, () => INVITE_CODE_ALPHABET[crypto.randomInt(INVITE_CODE_ALPHABET.length)]).join('');
+    } while (inviteCodes.has(code));
+    return code;
+}
+
+function findRoomByInviteCode(code) {
+    const roomId = inviteCodes.get(normalizeInviteCode(code));
+    return roomId ? rooms.get(roomId) || null : null;
+}
+
+function normalizeInviteCode(code) {
+    return String(code).trim().toUpperCase();
+}
+
+// Сводка комнаты другого экземпляра по коду приглашения
+async function findRemoteRoomByInviteCode(code) {
+    const roomId = await pubsub.hget('invites', normalizeInviteCode(code));
+    const entry = roomId && remoteLobby.get(roomId);
+    return entry ? entry.view : null;
 }
 
 // API маршруты
@@ -726,17 +4170,563 @@ app.get('/', (req, res) => {
 });
 
 app.get('/api/health', (req, res) => {
-    res.json({ status: 'ok' });
+    res.json({ status: 'ok', instance: INSTANCE_ID });
 });
 
 app.post('/api/check-nickname', (req, res) => {
     const { nickname } = req.body;
-    const isUnique = !users.has(nickname);
+    const isUnique = !users.has(nickname) && !accounts.has(nickname);
     res.json({ isUnique });
 });
 
+app.get('/api/invites/:code', asyncRoute(async (req, res) => {
+    const room = findRoomByInviteCode(req.params.code) || await findRemoteRoomByInviteCode(req.params.code);
+    if (!room) {
+        return res.status(404).json({ error: 'Приглашение не найдено' });
+    }
+    res.json({
+        id: room.id,
+        name: room.name,
+        host: room.host,
+        players: room.players.length,
+        minPlayers: room.minPlayers,
+        maxPlayers: room.maxPlayers,
+        preset: room.preset,
+        isPrivate: room.isPrivate,
+        hasPassword: room.hasPassword,
+        locked: room.locked,
+        status: room.status
+    });
+}));
+
+app.get('/api/presets', (req, res) => {
+    res.json(ROLE_PRESETS);
+});
+
+app.get('/api/roles', (req, res) => {
+    res.json(getRoleIds().map(id => {
+        const role = getRole(id);
+        return {
+            id,
+            name: role.name,
+            team: role.team,
+            abilities: role.abilities.map(ability => ({
+                id: ability.id,
+                targets: ability.targets || 1,
+                allowSelf: Boolean(ability.allowSelf)
+            }))
+        };
+    }));
+});
+
+app.get('/api/players/:nickname/stats', asyncRoute(async (req, res) => {
+    const stats = await storage.getStats(req.params.nickname);
+    if (!stats) {
+        return res.status(404).json({ error: 'Статистика не найдена' });
+    }
+    res.json(formatStats(stats));
+}));
+
+app.get('/api/players/:nickname/matches', asyncRoute(async (req, res) => {
+    const { limit, page, offset } = parsePagination(req.query);
+    const matches = await storage.listMatches({ nickname: req.params.nickname, limit, offset });
+    res.json({ page, limit, matches });
+}));
+
+// Журнал завершённой игры; с параметром step — одно событие и состояние партии после него
+app.get('/api/games/:id/replay', asyncRoute(async (req, res) => {
+    const replay = await storage.getReplay(req.params.id);
+    if (!replay) {
+        return res.status(404).json({ error: 'Игра не найдена или ещё не закончена' });
+    }
+    
+    if (req.query.step === undefined) {
+        return res.json({ ...replay, total: replay.events.length });
+    }
+    
+    const step = parseInt(req.query.step);
+    if (isNaN(step) || step < 0 || step >= replay.events.length) {
+        return res.status(400).json({ error: 'Неверный номер шага' });
+    }
+    
+    res.json({
+        id: replay.id,
+        step,
+        total: replay.events.length,
+        prev: step > 0 ? step - 1 : null,
+        next: step < replay.events.length - 1 ? step + 1 : null,
+        event: replay.events[step],
+        state: buildReplayState(replay, step)
+    });
+}));
+
+app.get('/api/leaderboard', asyncRoute(async (req, res) => {
+    const { limit, page, offset } = parsePagination(req.query);
+    const role = typeof req.query.role === 'string' ? req.query.role : undefined;
+    const { total, players } = await storage.listStats({ role, limit, offset });
+    res.json({
+        page,
+        limit,
+        total,
+        players: players.map((stats, index) => ({ place: offset + index + 1, ...formatStats(stats) }))
+    });
+}));
+
+app.post('/api/auth/register', limitAuthRequests, asyncRoute(async (req, res) => {
+    const { nickname, password } = req.body;
+    if (!isValidNickname(nickname)) {
+        return res.status(400).json({ error: 'Некорректный никнейм' });
+    }
+    if (typeof password !== 'string' || password.length < 6) {
+        return res.status(400).json({ error: 'Пароль должен быть не короче 6 символов' });
+    }
+    if (accounts.has(nickname) || users.has(nickname) || await isGuestNickname(nickname)) {
+        return res.status(409).json({ error: 'Никнейм уже занят' });
+    }
+    
+    const account = createAccount(nickname, password, 'user');
+    if (!await registerAccount(account)) {
+        return res.status(409).json({ error: 'Никнейм уже занят' });
+    }
+    console.log(`Зарегистрирован пользователь ${nickname}`);
+    res.json({ token: signToken({ nickname }), role: account.role });
+}));
+
+app.post('/api/auth/login', limitAuthRequests, (req, res) => {
+    const { nickname, password } = req.body;
+    const account = accounts.get(nickname);
+    if (!account || typeof password !== 'string' || !checkPassword(account, password)) {
+        return res.status(401).json({ error: 'Неверный никнейм или пароль' });
+    }
+    
+    res.json({ token: signToken({ nickname }), role: account.role });
+});
+
+// Гостевой вход: ник не защищён паролем, но закреплён за токеном
+app.post('/api/auth/guest', limitAuthRequests, asyncRoute(async (req, res) => {
+    const { nickname } = req.body;
+    if (!isValidNickname(nickname)) {
+        return res.status(400).json({ error: 'Некорректный никнейм' });
+    }
+    // Учётную запись могли только что создать на другом экземпляре, поэтому смотрим в общий хэш
+    if (accounts.has(nickname) || users.has(nickname) || await pubsub.hget('accounts', nickname)) {
+        return res.status(409).json({ error: 'Никнейм уже занят' });
+    }
+    if (!await reserveGuestNickname(nickname)) {
+        return res.status(409).json({ error: 'Никнейм уже занят' });
+    }
+    
+    res.json({ token: signToken({ nickname, guest: true }), role: 'user' });
+}));
+
+app.put('/api/admin/users/:nickname/role', requirePermission('manage_roles'), (req, res) => {
+    const account = accounts.get(req.params.nickname);
+    if (!account) {
+        return res.status(404).json({ error: 'Пользователь не найден' });
+    }
+    if (!Object.hasOwn(ROLE_PERMISSIONS, req.body.role)) {
+        return res.status(400).json({ error: 'Неизвестная роль' });
+    }
+    
+    account.role = req.body.role;
+    updateAccount(account);
+    recordAudit('set_role', req.nickname, { target: account.nickname, details: { role: account.role } });
+    console.log(`Администратор ${req.nickname} назначил ${account.nickname} роль ${account.role}`);
+    res.json({ nickname: account.nickname, role: account.role });
+});
+
+// Модерация: очередь жалоб и список банов
+app.get('/api/admin/reports', requirePermission('review_reports'), asyncRoute(async (req, res) => {
+    const { limit, page, offset } = parsePagination(req.query);
+    const { total, reports } = await storage.listReports({ status: req.query.status, limit, offset });
+    res.json({ page, limit, total, reports });
+}));
+
+app.post('/api/admin/reports/:id/resolve', requirePermission('review_reports'), asyncRoute(async (req, res) => {
+    const { action, duration, reason, note } = req.body;
+    if (!REPORT_ACTIONS.includes(action)) {
+        return res.status(400).json({ error: 'Неизвестное действие' });
+    }
+    if (action === 'ban' && !hasPermission(req.nickname, 'ban_player')) {
+        return res.status(403).json({ error: 'Недостаточно прав' });
+    }
+    
+    const { code, report } = await resolveReport(req.params.id, action, req.nickname, { duration, reason, note });
+    if (code) {
+        return res.status(code === 'REPORT_NOT_FOUND' ? 404 : 409).json({ code, error: ERROR_MESSAGES[code] });
+    }
+    res.json(report);
+}));
+
+app.get('/api/admin/audit', requirePermission('view_audit'), asyncRoute(async (req, res) => {
+    const { limit, page, offset } = parsePagination(req.query);
+    const { admin, target, action } = req.query;
+    const { total, entries } = await storage.listAuditLog({ admin, target, action, limit, offset });
+    res.json({ page, limit, total, entries });
+}));
+
+// Полное состояние комнат, включая закрытые и роли идущих игр
+app.get('/api/admin/rooms', requirePermission('inspect_rooms'), (req, res) => {
+    res.json(Array.from(rooms.values()).map(room => buildAdminRoomView(room, games.get(room.id), getSpectators(room.id).size)));
+});
+
+app.get('/api/admin/rooms/:id', requirePermission('inspect_rooms'), (req, res) => {
+    const room = rooms.get(req.params.id);
+    if (!room) {
+        return res.status(404).json({ code: 'ROOM_NOT_FOUND', error: ERROR_MESSAGES.ROOM_NOT_FOUND });
+    }
+    res.json(buildAdminRoomView(room, games.get(room.id), getSpectators(room.id).size));
+});
+
+app.get('/api/admin/bans', requirePermission('ban_player'), (req, res) => {
+    res.json(listActiveBans());
+});
+
+app.delete('/api/admin/bans/:nickname', requirePermission('ban_player'), (req, res) => {
+    if (!unbanPlayer(req.params.nickname, req.nickname)) {
+        return res.status(404).json({ code: 'NOT_BANNED', error: ERROR_MESSAGES.NOT_BANNED });
+    }
+    res.json({ nickname: req.params.nickname, unbanned: true });
+});
+
+// Сторонние роли: модули из ROLE_PLUGINS получают реестр ролей
+for (const plugin of (process.env.ROLE_PLUGINS || '').split(',').filter(Boolean)) {
+    require(path.resolve(plugin))(roleRegistry);
+    console.log(`Подключён модуль ролей ${plugin}`);
+}
+
+// Несколько экземпляров сервера
+function publishCluster(message) {
+    pubsub.publish(CLUSTER_CHANNEL, { ...message, from: INSTANCE_ID })
+        .catch(error => console.error('Ошибка связи с другими экземплярами:', error));
+}
+
+function publishTo(instance, message) {
+    pubsub.publish(`instance:${instance}`, { ...message, from: INSTANCE_ID })
+        .catch(error => console.error('Ошибка связи с другими экземплярами:', error));
+}
+
+function claimRoom(room) {
+    persist(pubsub.hset('rooms', room.id, INSTANCE_ID));
+    persist(pubsub.hset('invites', room.inviteCode, room.id));
+}
+
+function releaseRoom(room) {
+    persist(pubsub.hdel('rooms', room.id));
+    persist(pubsub.hdel('invites', room.inviteCode));
+}
+
+// Сообщения одного соединения обрабатываются строго по порядку: локальные проходят
+// через ту же очередь, иначе они обгоняли бы ещё не отправленные владельцу комнаты
+function routeMessage(ws, nickname, data) {
+    const queue = (routingQueues.get(ws) || Promise.resolve())
+        .then(() => LOCAL_MESSAGES.has(data.type) ? INSTANCE_ID : findRoomOwner(nickname, data))
+        .then(owner => {
+            if (owner && owner !== INSTANCE_ID) {
+                // Владелец комнаты не знает, где ещё сидит игрок, поэтому проверяем здесь
+                const activeRoomId = findActiveRoomId(nickname);
+                if ((data.type === 'join_room' || data.type === 'spectate_room') && activeRoomId && activeRoomId !== data.roomId) {
+                    sendError(ws, 'IN_ANOTHER_ROOM', undefined, { roomId: activeRoomId });
+                    return;
+                }
+                forwardMessage(ws, nickname, owner, { kind: 'message', data });
+            } else {
+                dispatchMessage(ws, data);
+            }
+        })
+        .catch(error => {
+            console.error('Ошибка обработки сообщения:', error);
+            sendError(ws, 'INTERNAL_ERROR');
+        });
+    routingQueues.set(ws, queue);
+}
+
+// Экземпляр, которому принадлежит комната сообщения; null — комната неизвестна, обрабатываем сами
+async function findRoomOwner(nickname, data) {
+    if (data.roomId) {
+        return rooms.has(data.roomId) ? INSTANCE_ID : pubsub.hget('rooms', data.roomId);
+    }
+    
+    if (data.inviteCode) {
+        if (findRoomByInviteCode(data.inviteCode)) return INSTANCE_ID;
+        const roomId = await pubsub.hget('invites', normalizeInviteCode(data.inviteCode));
+        return roomId ? pubsub.hget('rooms', roomId) : null;
+    }
+    
+    // Кик и мут в комнате выполняет владелец комнаты нарушителя
+    const target = data.type === 'admin_kick_player' || data.scope === 'room' ? data.player : nickname;
+    if (findPlayerRoom(target) || findSpectatedRoom(target)) {
+        return INSTANCE_ID;
+    }
+    const remote = target === nickname ? remoteRooms.get(nickname) : findRemotePlayerRoom(target);
+    return remote ? remote.instance : null;
+}
+
+function findRemotePlayerRoom(nickname) {
+    for (const [roomId, { instance, view }] of remoteLobby.entries()) {
+        if (view.players.some(p => p.nickname === nickname)) {
+            return { roomId, instance };
+        }
+    }
+    return null;
+}
+
+function forwardMessage(ws, nickname, instance, message) {
+    if (!forwardedTo.has(ws)) {
+        forwardedTo.set(ws, new Set());
+    }
+    forwardedTo.get(ws).add(instance);
+    
+    // Владелец комнаты доверяет роли, которую проверил экземпляр с токеном игрока
+    publishTo(instance, {
+        ...message,
+        nickname,
+        user: users.get(nickname),
+        role: getUserRole(nickname)
+    });
+}
+
+// Представитель игрока с другого экземпляра: обработчики работают с ним как с обычным сокетом,
+// а всё отправленное уходит экземпляру, к которому игрок подключён
+function getRemoteSocket(nickname, instance) {
+    const existing = remoteSockets.get(nickname);
+    if (existing && existing.instance === instance) {
+        return existing;
+    }
+    if (existing) {
+        unbindSocket(existing);
+    }
+    
+    const ws = {
+        instance,
+        readyState: WebSocket.OPEN,
+        send(payload) {
+            const room = findPlayerRoom(nickname) || findSpectatedRoom(nickname);
+            publishTo(instance, { kind: 'deliver', nickname, payload, roomId: room ? room.id : null });
+        },
+        close() {
+            publishTo(instance, { kind: 'close', nickname });
+            ws.readyState = WebSocket.CLOSED;
+            handleDisconnect(ws);
+        }
+    };
+    remoteSockets.set(nickname, ws);
+    bindSocket(ws, nickname);
+    return ws;
+}
+
+function getLocalSockets(nickname) {
+    return Array.from(getSockets(nickname)).filter(clientWs => !clientWs.instance);
+}
+
+// Сообщения, адресованные этому экземпляру
+function handleInstanceMessage(message) {
+    switch (message.kind) {
+        case 'message':
+        case 'resume': {
+            users.set(message.nickname, message.user);
+            
+            const isNew = !remoteSockets.has(message.nickname) || remoteSockets.get(message.nickname).instance !== message.from;
+            const ws = getRemoteSocket(message.nickname, message.from);
+            ws.role = message.role;
+            if (message.kind === 'resume') {
+                restoreSession(ws, message.nickname);
+                break;
+            }
+            if (isNew) {
+                markReconnected(message.nickname);
+            }
+            
+            try {
+                dispatchMessage(ws, message.data);
+            } catch (error) {
+                console.error('Ошибка обработки сообщения:', error);
+                sendError(ws, 'INTERNAL_ERROR');
+            }
+            break;
+        }
+        case 'deliver': {
+            // Запоминаем, где сейчас играет наш игрок, чтобы пересылать его следующие сообщения
+            if (message.roomId) {
+                remoteRooms.set(message.nickname, { roomId: message.roomId, instance: message.from });
+            } else if (remoteRooms.has(message.nickname) && remoteRooms.get(message.nickname).instance === message.from) {
+                remoteRooms.delete(message.nickname);
+            }
+            
+            const sockets = getLocalSockets(message.nickname);
+            if (sockets.length === 0) {
+                publishTo(message.from, { kind: 'disconnect', nickname: message.nickname });
+            }
+            for (const clientWs of sockets) {
+                if (clientWs.readyState === WebSocket.OPEN) {
+                    clientWs.send(message.payload);
+                }
+            }
+            break;
+        }
+        case 'close':
+            remoteRooms.delete(message.nickname);
+            for (const clientWs of getLocalSockets(message.nickname)) {
+                clientWs.close();
+            }
+            break;
+        case 'disconnect': {
+            const ws = remoteSockets.get(message.nickname);
+            if (ws && ws.instance === message.from) {
+                handleDisconnect(ws);
+            }
+            break;
+        }
+        case 'lobby':
+            applyRemoteLobby(message);
+            break;
+    }
+}
+
+// Сообщения для всех экземпляров; свои собственные пропускаем
+function handleClusterMessage(message) {
+    if (message.from === INSTANCE_ID) return;
+    
+    switch (message.kind) {
+        case 'broadcast':
+            sendRawToClients(message.payload);
+            break;
+        case 'player':
+            for (const clientWs of getLocalSockets(message.nickname)) {
+                if (clientWs.readyState === WebSocket.OPEN) {
+                    clientWs.send(message.payload);
+                }
+            }
+            break;
+        case 'lobby':
+            applyRemoteLobby(message);
+            break;
+        case 'lobby_sync':
+            // Новый экземпляр запрашивает наши комнаты
+            publishTo(message.from, { kind: 'lobby', added: getLocalLobby(), updated: [], removed: [] });
+            break;
+        case 'instance_stopped': {
+            const removed = Array.from(remoteLobby.entries())
+                .filter(([, entry]) => entry.instance === message.from)
+                .map(([roomId]) => roomId);
+            applyRemoteLobby({ from: message.from, added: [], updated: [], removed });
+            break;
+        }
+        case 'account':
+            refreshAccount(message.nickname);
+            break;
+        // Сохраняем и у себя: хранилище без общей базы иначе забыло бы их после перезапуска
+        case 'ban':
+            bannedUsers.set(message.nickname, message.banInfo);
+            persist(storage.saveBan(message.nickname, message.banInfo));
+            removeBannedPlayer(message.nickname);
+            break;
+        case 'unban':
+            bannedUsers.delete(message.nickname);
+            persist(storage.deleteBan(message.nickname));
+            break;
+        case 'mute':
+            mutedUsers.set(message.nickname, message.muteInfo);
+            persist(storage.saveMute(message.nickname, message.muteInfo));
+            break;
+        case 'unmute':
+            mutedUsers.delete(message.nickname);
+            persist(storage.deleteMute(message.nickname));
+            break;
+    }
+}
+
+function applyRemoteLobby(message) {
+    for (const view of message.added.concat(message.updated)) {
+        remoteLobby.set(view.id, { instance: message.from, view });
+    }
+    for (const roomId of message.removed) {
+        remoteLobby.delete(roomId);
+    }
+    sendRoomsDiff(message.added, message.updated, message.removed);
+}
+
+async function joinCluster() {
+    await pubsub.subscribe(`instance:${INSTANCE_ID}`, handleInstanceMessage);
+    await pubsub.subscribe(CLUSTER_CHANNEL, handleClusterMessage);
+    publishCluster({ kind: 'lobby_sync' });
+}
+
+// При остановке освобождаем свои комнаты и убираем их из списков других экземпляров
+async function leaveCluster() {
+    await Promise.all(Array.from(rooms.values(), room => Promise.all([
+        pubsub.hdel('rooms', room.id),
+        pubsub.hdel('invites', room.inviteCode)
+    ])));
+    await pubsub.publish(CLUSTER_CHANNEL, { kind: 'instance_stopped', from: INSTANCE_ID });
+    await pubsub.close();
+}
+
+// Загружаем сохранённые учётные записи и баны
+async function loadState() {
+    // Свои сохранённые записи добавляем в общий хэш, но уже лежащие там не перезаписываем
+    for (const account of await storage.loadAccounts()) {
+        await pubsub.hsetnx('accounts', account.nickname, account);
+    }
+    for (const account of Object.values(await pubsub.hgetall('accounts'))) {
+        accounts.set(account.nickname, account);
+    }
+    
+    for (const { nickname, ...banInfo } of await storage.loadBans()) {
+        bannedUsers.set(nickname, banInfo);
+    }
+    
+    for (const { nickname, ...muteInfo } of await storage.loadMutes()) {
+        mutedUsers.set(nickname, muteInfo);
+    }
+    
+    // Учётная запись администратора задаётся через переменные окружения; созданную раньше не перезаписываем
+    if (process.env.ADMIN_NICKNAME && process.env.ADMIN_PASSWORD && !accounts.has(process.env.ADMIN_NICKNAME)) {
+        const admin = createAccount(process.env.ADMIN_NICKNAME, process.env.ADMIN_PASSWORD, 'admin');
+        // Соседний экземпляр мог успеть создать её первым
+        if (!await registerAccount(admin)) {
+            accounts.set(admin.nickname, await pubsub.hget('accounts', admin.nickname));
+        }
+    }
+    
+    console.log(`Загружено учётных записей: ${accounts.size}, банов: ${bannedUsers.size}, мутов: ${mutedUsers.size}`);
+}
+
+if (!process.env.AUTH_SECRET) {
+    console.warn('AUTH_SECRET не задан: токены авторизации станут недействительны после перезапуска');
+}
+
+setInterval(checkHeartbeats, HEARTBEAT_INTERVAL * 1000).unref();
+setInterval(cleanupStaleRooms, 60000).unref();
+
+// Ожидающим в очереди обновляем прошедшее время и оценку ожидания
+setInterval(() => {
+    for (const key of matchQueues.keys()) {
+        sendQueueStatus(key);
+    }
+}, QUEUE_STATUS_INTERVAL).unref();
+
+// Периодически забываем истёкшие окна ограничителей
+setInterval(() => {
+    connectionLimiter.prune();
+    ipLimiter.prune();
+}, 60000).unref();
+
 // Запуск сервера
 const PORT = process.env.PORT || 3000;
-server.listen(PORT, () => {
-    console.log(`Сервер запущен на порту ${PORT}`);
-});
\ No newline at end of file
+Promise.all([loadState(), joinCluster()]).then(() => {
+    server.listen(PORT, () => {
+        console.log(`Сервер ${INSTANCE_ID} запущен на порту ${PORT}`);
+    });
+}).catch(error => {
+    console.error('Не удалось загрузить данные:', error);
+    process.exit(1);
+});
+
+for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.once(signal, () => {
+        leaveCluster()
+            .catch(error => console.error('Ошибка при остановке:', error))
+            .finally(() => process.exit(0));
+    });
+}
\ No newline at end of file
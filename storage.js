@@ -0,0 +1,256 @@
+const fs = require('fs');
+const path = require('path');
+
+// Хранилище данных сервера.
+// Любая реализация должна предоставлять те же асинхронные методы,
+// что и createMemoryStorage: так её можно подключить через STORAGE_MODULE.
+
+// Сколько записей хранить в растущих без конца коллекциях; более старые вытесняются
+const DEFAULT_LIMITS = {
+    matches: 5000,
+    replays: 1000,
+    reports: 5000,
+    audit: 10000
+};
+
+function createMemoryStorage(initial = {}, options = {}) {
+    const limits = {};
+    for (const name of Object.keys(DEFAULT_LIMITS)) {
+        limits[name] = options[name] || DEFAULT_LIMITS[name];
+    }
+
+    const data = {
+        accounts: initial.accounts || {}, // nickname -> account
+        bans: initial.bans || {}, // nickname -> {until, reason}
+        mutes: initial.mutes || {}, // nickname -> {until, reason}
+        matches: initial.matches || [], // завершённые игры в порядке окончания
+        stats: initial.stats || {}, // nickname -> статистика и рейтинг
+        replays: initial.replays || {}, // id игры -> журнал событий
+        reports: initial.reports || [], // жалобы игроков в порядке поступления
+        audit: initial.audit || [] // действия модераторов в порядке выполнения
+    };
+
+    return {
+        data,
+
+        async loadAccounts() {
+            return Object.values(data.accounts);
+        },
+
+        async saveAccount(account) {
+            data.accounts[account.nickname] = account;
+        },
+
+        async loadBans() {
+            return Object.entries(data.bans).map(([nickname, ban]) => ({ nickname, ...ban }));
+        },
+
+        async saveBan(nickname, ban) {
+            data.bans[nickname] = ban;
+        },
+
+        async deleteBan(nickname) {
+            delete data.bans[nickname];
+        },
+
+        async loadMutes() {
+            return Object.entries(data.mutes).map(([nickname, mute]) => ({ nickname, ...mute }));
+        },
+
+        async saveMute(nickname, mute) {
+            data.mutes[nickname] = mute;
+        },
+
+        async deleteMute(nickname) {
+            delete data.mutes[nickname];
+        },
+
+        // Возвращает вытесненные записи
+        async saveMatch(match) {
+            data.matches.push(match);
+            return data.matches.splice(0, Math.max(0, data.matches.length - limits.matches));
+        },
+
+        async listMatches({ nickname, limit = 20, offset = 0 } = {}) {
+            const matches = nickname
+                ? data.matches.filter(match => match.players.some(p => p.nickname === nickname))
+                : data.matches;
+            return matches.slice().reverse().slice(offset, offset + limit);
+        },
+
+        async getStats(nickname) {
+            return data.stats[nickname] || null;
+        },
+
+        async saveStats(stats) {
+            data.stats[stats.nickname] = stats;
+        },
+
+        // Таблица лидеров по рейтингу; с фильтром по роли — только игравшие этой ролью
+        async listStats({ role, limit = 20, offset = 0 } = {}) {
+            const players = Object.values(data.stats)
+                .filter(stats => !role || (stats.byRole[role] && stats.byRole[role].games > 0))
+                .sort((a, b) => b.rating - a.rating);
+            return {
+                total: players.length,
+                players: players.slice(offset, offset + limit)
+            };
+        },
+
+        // Возвращает вытесненные записи
+        async saveReplay(replay) {
+            data.replays[replay.id] = replay;
+
+            const ids = Object.keys(data.replays);
+            return ids.slice(0, Math.max(0, ids.length - limits.replays)).map(id => {
+                const evicted = data.replays[id];
+                delete data.replays[id];
+                return evicted;
+            });
+        },
+
+        async getReplay(id) {
+            return data.replays[id] || null;
+        },
+
+        // Возвращает вытесненные записи: вытесняются только закрытые жалобы, начиная со старых
+        async saveReport(report) {
+            const index = data.reports.findIndex(existing => existing.id === report.id);
+            if (index === -1) {
+                data.reports.push(report);
+            } else {
+                data.reports[index] = report;
+            }
+
+            const evicted = [];
+            let excess = data.reports.length - limits.reports;
+            for (let i = 0; i < data.reports.length && excess > 0;) {
+                if (data.reports[i].status === 'open') {
+                    i++;
+                    continue;
+                }
+                evicted.push(data.reports.splice(i, 1)[0]);
+                excess--;
+            }
+            return evicted;
+        },
+
+        async getReport(id) {
+            return data.reports.find(report => report.id === id) || null;
+        },
+
+        // Возвращает вытесненные записи
+        async saveAuditEntry(entry) {
+            data.audit.push(entry);
+            return data.audit.splice(0, Math.max(0, data.audit.length - limits.audit));
+        },
+
+        // Журнал действий: сначала новые, с фильтрами по модератору, цели и действию
+        async listAuditLog({ admin, target, action, limit = 20, offset = 0 } = {}) {
+            const entries = data.audit.filter(entry => (!admin || entry.admin === admin)
+                && (!target || entry.target === target)
+                && (!action || entry.action === action));
+            return {
+                total: entries.length,
+                entries: entries.slice().reverse().slice(offset, offset + limit)
+            };
+        },
+
+        // Очередь жалоб: сначала новые, с фильтром по статусу
+        async listReports({ status, limit = 20, offset = 0 } = {}) {
+            const reports = status ? data.reports.filter(report => report.status === status) : data.reports;
+            return {
+                total: reports.length,
+                reports: reports.slice().reverse().slice(offset, offset + limit)
+            };
+        }
+    };
+}
+
+// Хранилище в JSON-файлах: данные держим в памяти и сбрасываем на диск после каждого изменения.
+// Вытесненные записи дописываются построчно в <коллекция>.archive.jsonl
+function createFileStorage(directory, limits) {
+    const collections = ['accounts', 'bans', 'mutes', 'matches', 'stats', 'replays', 'reports', 'audit'];
+    const filePath = (name) => path.join(directory, `${name}.json`);
+
+    fs.mkdirSync(directory, { recursive: true });
+
+    const initial = {};
+    for (const name of collections) {
+        if (fs.existsSync(filePath(name))) {
+            initial[name] = JSON.parse(fs.readFileSync(filePath(name), 'utf8'));
+        }
+    }
+
+    const storage = createMemoryStorage(initial, limits);
+
+    // Записи в один файл выполняем строго по очереди. Неудачная запись не останавливает
+    // следующие, а изменения, пришедшие пока запись ждёт очереди, попадают в неё же
+    const writeQueues = {};
+    const pendingWrites = {};
+    function flush(name) {
+        if (pendingWrites[name]) return pendingWrites[name];
+
+        const previous = (writeQueues[name] || Promise.resolve()).catch(() => {});
+        const write = previous.then(async () => {
+            pendingWrites[name] = null;
+            const tempPath = `${filePath(name)}.tmp`;
+            await fs.promises.writeFile(tempPath, JSON.stringify(storage.data[name]));
+            await fs.promises.rename(tempPath, filePath(name));
+        });
+        pendingWrites[name] = write;
+        writeQueues[name] = write;
+        return write;
+    }
+
+    async function archive(name, entries) {
+        const lines = entries.map(entry => JSON.stringify(entry) + '\n').join('');
+        await fs.promises.appendFile(path.join(directory, `${name}.archive.jsonl`), lines);
+    }
+
+    const methodCollections = {
+        saveAccount: 'accounts',
+        saveBan: 'bans',
+        deleteBan: 'bans',
+        saveMute: 'mutes',
+        deleteMute: 'mutes',
+        saveMatch: 'matches',
+        saveStats: 'stats',
+        saveReplay: 'replays',
+        saveReport: 'reports',
+        saveAuditEntry: 'audit'
+    };
+    for (const [method, name] of Object.entries(methodCollections)) {
+        const original = storage[method];
+        storage[method] = async (...args) => {
+            const evicted = await original(...args);
+            if (Array.isArray(evicted) && evicted.length > 0) {
+                await archive(name, evicted);
+            }
+            await flush(name);
+        };
+    }
+
+    return storage;
+}
+
+function createStorage(options = {}) {
+    if (options.module) {
+        const factory = require(path.resolve(options.module));
+        return typeof factory === 'function' ? factory(options) : factory;
+    }
+
+    switch (options.type) {
+        case 'memory':
+            return createMemoryStorage({}, options.limits);
+        case 'file':
+        default:
+            return createFileStorage(options.directory || path.join(__dirname, 'data'), options.limits);
+    }
+}
+
+module.exports = {
+    createStorage,
+    createMemoryStorage,
+    createFileStorage
+};
@@ -0,0 +1,114 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startFakeRedis } = require('./helpers/fake-redis');
+const { startServer, connectClient, connectGuest } = require('./helpers/server');
+
+// Два экземпляра сервера с общим Redis: комната живёт на первом, часть игроков подключена ко второму
+
+let redis;
+let first;
+let second;
+const clients = [];
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function guest(server, nickname) {
+    const client = await connectGuest(server, nickname);
+    clients.push(client);
+    return client;
+}
+
+async function login(server, nickname, password) {
+    const { body } = await server.request('POST', '/api/auth/login', { nickname, password });
+    const client = await connectClient(server);
+    clients.push(client);
+    return { client, session: await client.login(body.token, nickname), token: body.token };
+}
+
+before(async () => {
+    redis = await startFakeRedis();
+    const env = {
+        PUBSUB: 'redis',
+        REDIS_URL: redis.url,
+        ADMIN_NICKNAME: 'root',
+        ADMIN_PASSWORD: 'rootpass'
+    };
+    first = await startServer({ ...env, INSTANCE_ID: 'first' });
+    second = await startServer({ ...env, INSTANCE_ID: 'second' });
+});
+
+after(async () => {
+    for (const client of clients) {
+        client.close();
+    }
+    await Promise.all([first, second].filter(Boolean).map(server => server.stop()));
+    await redis.close();
+});
+
+test('игрок другого экземпляра входит в комнату и пишет в чат', async () => {
+    const host = await guest(first, 'Хозяин');
+    const visitor = await guest(second, 'Гость');
+
+    host.send({ type: 'create_room', name: 'Общая', minPlayers: 4, maxPlayers: 6, autoStart: false });
+    const { room } = await host.waitFor('room_created');
+
+    visitor.send({ type: 'join_room', roomId: room.id });
+    await visitor.waitFor('room_joined', message => message.room.id === room.id);
+    await host.waitFor('player_joined', message => message.player.nickname === 'Гость');
+
+    visitor.send({ type: 'chat_message', roomId: room.id, message: 'привет со второго' });
+    const chat = await host.waitFor('chat_message', message => message.sender === 'Гость');
+    assert.equal(chat.message, 'привет со второго');
+
+    const invite = await second.request('GET', `/api/invites/${room.inviteCode}`);
+    assert.equal(invite.status, 200);
+    assert.equal(invite.body.players, 2);
+});
+
+test('ник учётной записи не выдаётся гостю ни на одном экземпляре', async () => {
+    for (const server of [first, second]) {
+        const response = await server.request('POST', '/api/auth/guest', { nickname: 'root' });
+        assert.equal(response.status, 409);
+    }
+
+    const registered = await second.request('POST', '/api/auth/register', { nickname: 'alice', password: 'secret1' });
+    assert.equal(registered.status, 200);
+    assert.equal((await first.request('POST', '/api/auth/guest', { nickname: 'alice' })).status, 409);
+    assert.equal((await first.request('POST', '/api/auth/register', { nickname: 'alice', password: 'other1' })).status, 409);
+
+    assert.equal((await first.request('POST', '/api/auth/guest', { nickname: 'Странник' })).status, 200);
+    assert.equal((await second.request('POST', '/api/auth/guest', { nickname: 'Странник' })).status, 409);
+
+    // Пароли в общие каналы и хэши попадают только как хэш
+    for (const value of redis.hashes.get('mafia:accounts').values()) {
+        assert.ok(!value.includes('secret1'));
+    }
+});
+
+test('права игрока другого экземпляра проверяются по его текущей роли', async () => {
+    const host = await guest(first, 'Ведущий');
+    const target = await guest(first, 'Нарушитель');
+    host.send({ type: 'create_room', name: 'Строгая', minPlayers: 4, maxPlayers: 6, autoStart: false });
+    const { room } = await host.waitFor('room_created');
+    target.send({ type: 'join_room', roomId: room.id });
+    await target.waitFor('room_joined');
+
+    // Роль выдаёт первый экземпляр, а alice подключена ко второму
+    const { body: root } = await first.request('POST', '/api/auth/login', { nickname: 'root', password: 'rootpass' });
+    assert.equal((await first.request('PUT', '/api/admin/users/alice/role', { role: 'admin' }, root.token)).status, 200);
+    await sleep(200);
+    const alice = await login(second, 'alice', 'secret1');
+    assert.equal(alice.session.role, 'admin');
+
+    assert.equal((await second.request('PUT', '/api/admin/users/alice/role', { role: 'user' }, root.token)).status, 200);
+    await sleep(200);
+    alice.client.send({ type: 'admin_kick_player', player: 'Нарушитель', reason: 'проверка' });
+    const denied = await alice.client.waitFor('error');
+    assert.equal(denied.code, 'FORBIDDEN');
+
+    const admin = await login(second, 'root', 'rootpass');
+    admin.client.send({ type: 'admin_kick_player', player: 'Нарушитель', reason: 'проверка' });
+    const kicked = await host.waitFor('player_kicked');
+    assert.equal(kicked.player, 'Нарушитель');
+    assert.equal(kicked.admin, 'root');
+});
@@ -0,0 +1,132 @@
+const net = require('net');
+
+// Замена Redis для тестов: каналы и хэши в памяти тестового процесса.
+// Понимает только команды, которыми пользуется pubsub.js
+
+function encode(value) {
+    if (value === null) return '$-1\r\n';
+    if (typeof value === 'number') return `:${value}\r\n`;
+    if (Array.isArray(value)) return `*${value.length}\r\n` + value.map(encode).join('');
+    return `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+}
+
+// Разбирает одну команду (массив строк); возвращает [аргументы, конец] или null, если она пришла не полностью
+function parseCommand(buffer) {
+    const text = buffer.toString('latin1');
+    let lineEnd = text.indexOf('\r\n');
+    if (lineEnd === -1) return null;
+
+    const count = parseInt(text.slice(1, lineEnd), 10);
+    const args = [];
+    let position = lineEnd + 2;
+    for (let i = 0; i < count; i++) {
+        lineEnd = text.indexOf('\r\n', position);
+        if (lineEnd === -1) return null;
+
+        const length = parseInt(text.slice(position + 1, lineEnd), 10);
+        const start = lineEnd + 2;
+        if (buffer.length < start + length + 2) return null;
+        args.push(buffer.toString('utf8', start, start + length));
+        position = start + length + 2;
+    }
+    return [args, position];
+}
+
+function startFakeRedis() {
+    const hashes = new Map(); // ключ -> Map(поле -> значение)
+    const channels = new Map(); // канал -> Set(сокет)
+    const sockets = new Set();
+
+    function getHash(key) {
+        if (!hashes.has(key)) {
+            hashes.set(key, new Map());
+        }
+        return hashes.get(key);
+    }
+
+    function execute(socket, [name, ...args]) {
+        switch (name.toUpperCase()) {
+            case 'PING':
+                return 'PONG';
+            case 'HGET':
+                return getHash(args[0]).has(args[1]) ? getHash(args[0]).get(args[1]) : null;
+            case 'HGETALL':
+                return [...getHash(args[0])].flat();
+            case 'HSET': {
+                const isNew = !getHash(args[0]).has(args[1]);
+                getHash(args[0]).set(args[1], args[2]);
+                return isNew ? 1 : 0;
+            }
+            case 'HSETNX':
+                if (getHash(args[0]).has(args[1])) return 0;
+                getHash(args[0]).set(args[1], args[2]);
+                return 1;
+            case 'HDEL':
+                return getHash(args[0]).delete(args[1]) ? 1 : 0;
+            case 'SUBSCRIBE':
+                if (!channels.has(args[0])) {
+                    channels.set(args[0], new Set());
+                }
+                channels.get(args[0]).add(socket);
+                return ['subscribe', args[0], 1];
+            case 'PUBLISH': {
+                const subscribers = channels.get(args[0]) || new Set();
+                for (const subscriber of subscribers) {
+                    subscriber.write(encode(['message', args[0], args[1]]));
+                }
+                return subscribers.size;
+            }
+            default:
+                return new Error(`ERR unknown command ${name}`);
+        }
+    }
+
+    const server = net.createServer((socket) => {
+        sockets.add(socket);
+        let buffer = Buffer.alloc(0);
+
+        socket.on('data', (chunk) => {
+            buffer = Buffer.concat([buffer, chunk]);
+
+            let parsed;
+            while (buffer.length > 0 && (parsed = parseCommand(buffer))) {
+                buffer = buffer.subarray(parsed[1]);
+                const reply = execute(socket, parsed[0]);
+                socket.write(reply instanceof Error ? `-${reply.message}\r\n` : encode(reply));
+            }
+        });
+        socket.on('error', () => {});
+        socket.on('close', () => {
+            sockets.delete(socket);
+            for (const subscribers of channels.values()) {
+                subscribers.delete(socket);
+            }
+        });
+    });
+
+    return new Promise((resolve) => {
+        server.listen(0, '127.0.0.1', () => {
+            const { port } = server.address();
+            resolve({
+                url: `redis://127.0.0.1:${port}`,
+                hashes,
+
+                // Обрывает все соединения, как при перезапуске Redis; данные остаются
+                dropConnections() {
+                    for (const socket of sockets) {
+                        socket.destroy();
+                    }
+                },
+
+                close() {
+                    for (const socket of sockets) {
+                        socket.destroy();
+                    }
+                    return new Promise(done => server.close(done));
+                }
+            });
+        });
+    });
+}
+
+module.exports = { startFakeRedis };
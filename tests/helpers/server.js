@@ -0,0 +1,150 @@
+const net = require('net');
+const path = require('path');
+const { spawn } = require('child_process');
+const WebSocket = require('ws');
+
+const SERVER_PATH = path.join(__dirname, '..', '..', 'server.js');
+const START_TIMEOUT = 10000;
+
+function getFreePort() {
+    return new Promise((resolve, reject) => {
+        const probe = net.createServer();
+        probe.on('error', reject);
+        probe.listen(0, '127.0.0.1', () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+    });
+}
+
+// Запускает server.js отдельным процессом и ждёт, пока он начнёт принимать подключения
+async function startServer(env = {}) {
+    const port = await getFreePort();
+    const child = spawn(process.execPath, [SERVER_PATH], {
+        env: { ...process.env, STORAGE: 'memory', AUTH_SECRET: 'test-secret', ...env, PORT: String(port) },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    let output = '';
+    child.stderr.on('data', chunk => { output += chunk; });
+
+    await new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            child.kill('SIGKILL');
+            reject(new Error(`Сервер не запустился:\n${output}`));
+        }, START_TIMEOUT);
+
+        child.stdout.on('data', (chunk) => {
+            output += chunk;
+            if (output.includes('запущен на порту')) {
+                clearTimeout(timer);
+                resolve();
+            }
+        });
+        child.once('exit', (code) => {
+            clearTimeout(timer);
+            reject(new Error(`Сервер завершился с кодом ${code}:\n${output}`));
+        });
+    });
+
+    return {
+        port,
+
+        async request(method, url, body, token) {
+            const response = await fetch(`http://127.0.0.1:${port}${url}`, {
+                method,
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...(token ? { Authorization: `Bearer ${token}` } : {})
+                },
+                body: body ? JSON.stringify(body) : undefined
+            });
+            return { status: response.status, body: await response.json().catch(() => null) };
+        },
+
+        stop() {
+            if (child.exitCode !== null) return Promise.resolve();
+            return new Promise((resolve) => {
+                child.once('exit', resolve);
+                child.kill('SIGTERM');
+            });
+        }
+    };
+}
+
+// Клиент WebSocket, который складывает входящие сообщения и умеет дождаться нужного
+function connectClient(server) {
+    const ws = new WebSocket(`ws://127.0.0.1:${server.port}`);
+    const messages = [];
+    const waiters = new Set();
+
+    ws.on('message', (raw) => {
+        const message = JSON.parse(raw);
+        messages.push(message);
+        for (const waiter of waiters) {
+            if (waiter.matches(message)) {
+                waiters.delete(waiter);
+                waiter.resolve(message);
+            }
+        }
+    });
+
+    const client = {
+        messages,
+
+        send(message) {
+            ws.send(JSON.stringify(message));
+        },
+
+        // Ищет и среди уже пришедших сообщений
+        waitFor(type, predicate = () => true, timeout = 5000) {
+            const matches = message => message.type === type && predicate(message);
+            const received = messages.find(matches);
+            if (received) return Promise.resolve(received);
+
+            return new Promise((resolve, reject) => {
+                const waiter = {
+                    matches,
+                    resolve(message) {
+                        clearTimeout(timer);
+                        resolve(message);
+                    }
+                };
+                const timer = setTimeout(() => {
+                    waiters.delete(waiter);
+                    reject(new Error(`Не дождались сообщения ${type}`));
+                }, timeout);
+                waiters.add(waiter);
+            });
+        },
+
+        // Входит по токену и ждёт начала сессии
+        async login(token, nickname) {
+            client.send({ type: 'user_connected', token, protocolVersion: 1, user: { nickname } });
+            return client.waitFor('session_started');
+        },
+
+        close() {
+            ws.close();
+        }
+    };
+
+    return new Promise((resolve, reject) => {
+        ws.once('open', () => resolve(client));
+        ws.once('error', reject);
+    });
+}
+
+// Гость с токеном, уже вошедший по WebSocket
+async function connectGuest(server, nickname) {
+    const { body } = await server.request('POST', '/api/auth/guest', { nickname });
+    const client = await connectClient(server);
+    await client.login(body.token, nickname);
+    return client;
+}
+
+module.exports = {
+    startServer,
+    connectClient,
+    connectGuest
+};
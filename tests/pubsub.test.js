@@ -0,0 +1,103 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryPubSub, createRedisPubSub } = require('../pubsub');
+const { startFakeRedis } = require('./helpers/fake-redis');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Ждёт, пока сообщение дойдёт до подписчика; пока соединение восстанавливается, публикация может не пройти
+async function publishUntilReceived(pubsub, channel, received, message, timeout = 3000) {
+    const deadline = Date.now() + timeout;
+    while (Date.now() < deadline) {
+        await pubsub.publish(channel, message).catch(() => {});
+        await sleep(50);
+        if (received.some(item => item.id === message.id)) return;
+    }
+    throw new Error('Сообщение не дошло до подписчика');
+}
+
+describe('память', () => {
+    test('доставляет копию сообщения асинхронно', async () => {
+        const pubsub = createMemoryPubSub();
+        const received = [];
+        await pubsub.subscribe('cluster', message => received.push(message));
+
+        const message = { kind: 'broadcast', data: { text: 'привет' } };
+        await pubsub.publish('cluster', message);
+        assert.equal(received.length, 0);
+
+        await sleep(10);
+        assert.deepEqual(received, [message]);
+        assert.notEqual(received[0], message);
+    });
+
+    test('hsetnx занимает поле только один раз', async () => {
+        const pubsub = createMemoryPubSub();
+        assert.equal(await pubsub.hsetnx('accounts', 'alice', { role: 'user' }), true);
+        assert.equal(await pubsub.hsetnx('accounts', 'alice', { role: 'admin' }), false);
+        assert.deepEqual(await pubsub.hget('accounts', 'alice'), { role: 'user' });
+
+        await pubsub.hset('accounts', 'bob', { role: 'moderator' });
+        assert.deepEqual(await pubsub.hgetall('accounts'), {
+            alice: { role: 'user' },
+            bob: { role: 'moderator' }
+        });
+
+        await pubsub.hdel('accounts', 'alice');
+        assert.equal(await pubsub.hget('accounts', 'alice'), null);
+    });
+});
+
+describe('Redis', () => {
+    let redis;
+    const adapters = [];
+
+    function connect() {
+        const pubsub = createRedisPubSub({ url: redis.url });
+        adapters.push(pubsub);
+        return pubsub;
+    }
+
+    before(async () => {
+        redis = await startFakeRedis();
+    });
+
+    after(async () => {
+        await Promise.all(adapters.map(pubsub => pubsub.close()));
+        await redis.close();
+    });
+
+    test('сообщения и хэши общие для всех подключений', async () => {
+        const first = connect();
+        const second = connect();
+        const received = [];
+        await second.subscribe('instance:b', message => received.push(message));
+
+        await first.publish('instance:b', { kind: 'deliver', nickname: 'Игрок' });
+        await sleep(50);
+        assert.deepEqual(received, [{ kind: 'deliver', nickname: 'Игрок' }]);
+
+        assert.equal(await first.hsetnx('rooms', 'room-1', 'a'), true);
+        assert.equal(await second.hsetnx('rooms', 'room-1', 'b'), false);
+        assert.equal(await second.hget('rooms', 'room-1'), 'a');
+        assert.deepEqual(await second.hgetall('rooms'), { 'room-1': 'a' });
+        assert.deepEqual(await second.hgetall('missing'), {});
+
+        await second.hdel('rooms', 'room-1');
+        assert.equal(await first.hget('rooms', 'room-1'), null);
+    });
+
+    test('после обрыва соединения подписка восстанавливается', async () => {
+        const publisher = connect();
+        const subscriber = connect();
+        const received = [];
+        await subscriber.subscribe('cluster', message => received.push(message));
+        await publishUntilReceived(publisher, 'cluster', received, { id: 1 });
+
+        redis.dropConnections();
+        await assert.rejects(publisher.publish('cluster', { id: 2 }));
+
+        await publishUntilReceived(publisher, 'cluster', received, { id: 3 });
+        assert.deepEqual([...new Set(received.map(message => message.id))], [1, 3]);
+    });
+});
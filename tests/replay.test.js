@@ -0,0 +1,87 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, connectGuest } = require('./helpers/server');
+
+// Партия ведущего с ботами на коротких фазах, доигранная до конца и разобранная по журналу
+
+let server;
+let host;
+
+before(async () => {
+    server = await startServer();
+    host = await connectGuest(server, 'Ведущий');
+});
+
+after(async () => {
+    if (host) host.close();
+    if (server) await server.stop();
+});
+
+test('журнал партии с ботами воспроизводится по шагам', { timeout: 120000 }, async () => {
+    host.send({
+        type: 'create_room',
+        name: 'Повтор',
+        minPlayers: 6,
+        maxPlayers: 6,
+        autoStart: false,
+        composition: { mafia: 1, doctor: 1, civilian: 4 },
+        phaseDurations: { night: 1, morning: 1, day: 1, vote: 1, execution: 1 }
+    });
+    const { room } = await host.waitFor('room_created');
+    for (let i = 1; i <= 5; i++) {
+        host.send({ type: 'admin_add_bot', botName: `Бот${i}` });
+        await host.waitFor('bot_added', message => message.bot.nickname === `Бот${i}`);
+    }
+    host.send({ type: 'host_start' });
+    await host.waitFor('game_started');
+    // Днём живой игрок может писать в общий чат; если ночью ведущего убили, сервер откажет
+    await host.waitFor('phase_changed', message => message.phase === 'day', 20000);
+    host.send({ type: 'chat_message', roomId: room.id, message: 'удачи всем' });
+
+    const gameOver = await host.waitFor('game_over', () => true, 100000);
+    assert.ok(gameOver.gameId);
+
+    // Журнал сохраняется асинхронно
+    let replay;
+    for (let attempt = 0; attempt < 20; attempt++) {
+        replay = await server.request('GET', `/api/games/${gameOver.gameId}/replay`);
+        if (replay.status === 200) break;
+        await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    assert.equal(replay.status, 200);
+
+    const { events, total, result } = replay.body;
+    assert.equal(total, events.length);
+    assert.equal(result, gameOver.winner);
+    assert.deepEqual(events.map(event => event.seq), events.map((event, index) => index));
+    assert.deepEqual(events.slice(0, 2).map(event => event.type), ['game_started', 'roles_assigned']);
+    assert.equal(events[events.length - 1].type, 'game_over');
+    for (let i = 1; i < events.length; i++) {
+        assert.ok(events[i].at >= events[i - 1].at, `событие ${i} записано раньше предыдущего`);
+    }
+
+    const players = events[0].players;
+    assert.equal(players.length, 6);
+    assert.deepEqual(Object.keys(events[1].roles).sort(), [...players].sort());
+    assert.ok(events.some(event => event.type === 'phase_changed' && event.phase === 'night'));
+    const spoke = host.messages.some(message => message.type === 'chat_message' && message.sender === 'Ведущий');
+    assert.equal(events.some(event => event.type === 'chat' && event.sender === 'Ведущий'), spoke);
+
+    // Шаги: состояние перед первой ночью и в конце согласованы с событиями смерти
+    const first = await server.request('GET', `/api/games/${gameOver.gameId}/replay?step=0`);
+    assert.equal(first.status, 200);
+    assert.equal(first.body.prev, null);
+    assert.equal(first.body.next, 1);
+    assert.deepEqual(first.body.state.alive, players);
+
+    const lastStep = total - 1;
+    const last = await server.request('GET', `/api/games/${gameOver.gameId}/replay?step=${lastStep}`);
+    assert.equal(last.body.next, null);
+    assert.equal(last.body.event.type, 'game_over');
+    const deaths = events.filter(event => event.type === 'death').map(event => event.player);
+    assert.deepEqual(last.body.state.dead.map(death => death.nickname), deaths);
+    assert.deepEqual(last.body.state.alive, players.filter(nickname => !deaths.includes(nickname)));
+
+    assert.equal((await server.request('GET', `/api/games/${gameOver.gameId}/replay?step=${total}`)).status, 400);
+    assert.equal((await server.request('GET', '/api/games/unknown/replay')).status, 404);
+});
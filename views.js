@@ -0,0 +1,132 @@
+// Представления комнаты для клиентов.
+// Объект комнаты целиком наружу не уходит: лобби видит краткую сводку,
+// участник — комнату, свою роль и союзников, администратор — всё, включая роли.
+
+const { getRole, getRoleTeam } = require('./roles');
+
+function buildPlayerView(player) {
+    return {
+        nickname: player.nickname,
+        avatar: player.avatar,
+        isBot: Boolean(player.isBot),
+        connected: player.connected !== false,
+        alive: player.alive
+    };
+}
+
+// Сводка для списка комнат
+function buildLobbyView(room, spectatorCount = 0) {
+    return {
+        id: room.id,
+        name: room.name,
+        host: room.host,
+        creator: room.creator ? room.creator.nickname : null,
+        players: room.players.map(buildPlayerView),
+        minPlayers: room.minPlayers,
+        maxPlayers: room.maxPlayers,
+        roles: room.roles,
+        composition: room.composition,
+        preset: room.preset,
+        settings: room.settings,
+        isPrivate: room.isPrivate,
+        hasPassword: room.hasPassword,
+        locked: room.locked,
+        spectators: spectatorCount,
+        status: room.status
+    };
+}
+
+// Союзники — игроки, с которыми у роли общая командная способность (например, убийство мафии)
+function findAllies(game, nickname) {
+    const role = getRole(game.roles.get(nickname));
+    const collective = role ? role.abilities.filter(ability => ability.collective) : [];
+    if (collective.length === 0) return [];
+
+    const allies = [];
+    for (const [allyNickname, allyRoleId] of game.roles.entries()) {
+        const allyRole = getRole(allyRoleId);
+        if (allyNickname !== nickname && allyRole && collective.some(ability => allyRole.abilities.includes(ability))) {
+            allies.push({ nickname: allyNickname, role: allyRoleId });
+        }
+    }
+    return allies;
+}
+
+// Комната глазами участника или зрителя (viewer = null): своя роль видна только самому игроку
+function buildRoomView(room, game, viewer, spectatorCount = 0) {
+    const view = {
+        ...buildLobbyView(room, spectatorCount),
+        inviteCode: room.inviteCode,
+        createdAt: room.createdAt
+    };
+
+    if (game) {
+        view.game = {
+            phase: game.phase,
+            day: game.day,
+            endsAt: game.phaseEndsAt ? new Date(game.phaseEndsAt).toISOString() : null,
+            deaths: game.deaths.map(({ nickname, cause, day }) => ({ nickname, cause, day }))
+        };
+    }
+
+    if (game && viewer && game.roles.has(viewer)) {
+        const role = game.roles.get(viewer);
+        view.you = {
+            role,
+            team: getRoleTeam(role),
+            allies: findAllies(game, viewer)
+        };
+    }
+
+    return view;
+}
+
+// Полная картина для администратора: роли, голоса и ночные действия
+function buildAdminRoomView(room, game, spectatorCount = 0) {
+    const view = {
+        ...buildRoomView(room, game, null, spectatorCount),
+        kicked: room.kicked
+    };
+
+    if (game) {
+        view.game = {
+            ...view.game,
+            id: game.id,
+            roles: Object.fromEntries(game.roles),
+            nominations: game.nominations,
+            votes: Object.fromEntries(game.votes),
+            nightActions: Object.fromEntries(game.nightActions)
+        };
+    }
+
+    return view;
+}
+
+// Изменения списка комнат относительно последней рассылки.
+// previous — Map(id -> JSON сводки); возвращает изменения и новый снимок
+function diffLobby(previous, rooms) {
+    const snapshot = new Map();
+    const added = [];
+    const updated = [];
+
+    for (const room of rooms) {
+        const json = JSON.stringify(room);
+        snapshot.set(room.id, json);
+        if (!previous.has(room.id)) {
+            added.push(room);
+        } else if (previous.get(room.id) !== json) {
+            updated.push(room);
+        }
+    }
+
+    const removed = Array.from(previous.keys()).filter(id => !snapshot.has(id));
+    return { added, updated, removed, snapshot };
+}
+
+module.exports = {
+    buildPlayerView,
+    buildLobbyView,
+    buildRoomView,
+    buildAdminRoomView,
+    diffLobby
+};